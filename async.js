@@ -0,0 +1,296 @@
+/*
+ * License: MIT License
+ * Homepage: http://osteele.com/javascripts/functional
+ * Created: 2026-10-19
+ *
+ *
+ * This defines asynchronous versions of the composition and collection
+ * functions, which wait for the promises that their functions return.
+ * It requires functional.js and to-function.js.
+ */
+
+var Functional = this.Functional || {};
+
+/**
+ * ^ Asynchronous functions
+ *
+ * `composeAsync`, `sequenceAsync`, `mapAsync`, `selectAsync`,
+ * `reduceAsync` and `untilAsync` are like `compose`, `sequence`, `map`,
+ * `select`, `reduce` and `until`, except that they return a promise, and
+ * that when a function returns a promise, they wait for its value before
+ * going on.  Their functions can be string lambdas.
+ *
+ * If a function throws an error or returns a promise that rejects, the
+ * promise that these functions return rejects with a
+ * `Functional.StageError`, whose `index` tells which function (for
+ * `composeAsync` and `sequenceAsync`), element (for `mapAsync`,
+ * `selectAsync` and `reduceAsync`) or step (for `untilAsync`) failed,
+ * and whose `cause` is the error:
+ * >> composeAsync('x+1', 'x.y.z')(1) -> error
+ * >> composeAsync('x+1', 'x.y.z')(1).catch(pluck('index')) -> 1
+ *
+ * Each of them takes an `AbortSignal` as the `signal` of its options.
+ * When the signal is aborted, the promise rejects with its `reason`, and
+ * no more functions are called.
+ * >> var controller = new AbortController()
+ * >> var stages = mapAsync('x+1', [1, 2], {signal: controller.signal, concurrency: 1})
+ * >> controller.abort()
+ * >> stages -> error
+ */
+
+/**
+ * Returns a function that applies the last of the functions to its
+ * arguments, and each function before that to the value of the one
+ * after it, waiting for each value.  The function returns a promise of
+ * the value of the first function.  An options object, such as
+ * `{signal: signal}`, can follow the functions.
+ * == composeAsync(f1, f2, f3...)(args...) == f1(await f2(await f3(...)))
+ * >> composeAsync('x+1', function(x) {return Promise.resolve(x*2)})(3) -> 7
+ */
+Functional.composeAsync = function(/*fn..., options*/) {
+    var args = Functional._asyncArguments(arguments),
+        order = [];
+    for (var i = args.fns.length; --i >= 0; )
+        order.push(i);
+    return function() {
+        return Functional._pipeAsync(args.fns, order, this, arguments, args.options.signal);
+    }
+}
+
+/**
+ * Same as `composeAsync`, except that it applies the functions in
+ * argument-list order.
+ * == sequenceAsync(f1, f2, f3...)(args...) == f3(await f2(await f1(args...)))
+ * >> sequenceAsync(function(x) {return Promise.resolve(x*2)}, 'x+1')(3) -> 7
+ */
+Functional.sequenceAsync = function(/*fn..., options*/) {
+    var args = Functional._asyncArguments(arguments),
+        order = [];
+    for (var i = 0; i < args.fns.length; i++)
+        order.push(i);
+    return function() {
+        return Functional._pipeAsync(args.fns, order, this, arguments, args.options.signal);
+    }
+}
+
+/**
+ * Returns a promise of the array of the values of `fn(element, index)`
+ * for each element of `sequence`, in order.  At most
+ * `options.concurrency` calls are waiting at a time; by default, there
+ * is no limit.  If the concurrency isn't a positive integer, the promise
+ * rejects with a `RangeError`.
+ * >> mapAsync('x*x', [1, 2, 3]) -> [1, 4, 9]
+ * >> var running = 0, most = 0
+ * >> var track = function(x) { most = Math.max(most, ++running); return new Promise(function(resolve) { setTimeout(function() { running--; resolve(x) }, 1) }) }
+ * >> mapAsync(track, [1, 2, 3, 4], {concurrency: 2}) -> [1, 2, 3, 4]
+ * >> most -> 2
+ * >> mapAsync('x*x', [1, 2], {concurrency: -1}) -> error
+ *
+ * As for `map`, a `Map`, `Set` or plain object gives a promise of
+ * another of the same kind, and `fn` is applied to each value of a `Map`
+ * or an object and its key.
+ * >> mapAsync('n k -> k + n', {a: 1, b: 2}) -> {a: "a1", b: "b2"}
+ */
+Functional.mapAsync = function(fn, sequence, options) {
+    var kind = Functional._collectionKind(sequence),
+        entries = Functional._entries(sequence);
+    return Functional._stagesAsync(fn, entries, options).then(function(results) {
+        if (kind == 'sequence')
+            return results;
+        return Functional._fromEntries(kind, entries.map(function(entry, index) {
+            return [entry[0], results[index]];
+        }));
+    });
+}
+
+/**
+ * Returns a promise of the array of the elements $x$ of `sequence` for
+ * which $fn(x)$ is true.  `options` are as for `mapAsync`, and a `Map`,
+ * `Set` or plain object gives a promise of another of the same kind.
+ * >> selectAsync(function(x) {return Promise.resolve(x % 2)}, [1, 2, 3]) -> [1, 3]
+ * >> selectAsync('n k -> k != "b"', {a: 1, b: 2}) -> {a: 1}
+ */
+Functional.selectAsync = function(fn, sequence, options) {
+    var kind = Functional._collectionKind(sequence),
+        entries = Functional._entries(sequence);
+    return Functional._stagesAsync(fn, entries, options).then(function(keep) {
+        entries = entries.filter(function(entry, index) {
+            return keep[index];
+        });
+        if (kind == 'sequence')
+            return entries.map(function(entry) { return entry[1]; });
+        return Functional._fromEntries(kind, entries);
+    });
+}
+
+/**
+ * Returns a promise of the value of applying `fn` to `init` and the
+ * first element of `sequence`, and then to that value and the second
+ * element, and so on, waiting for each value.  As for `reduce`, `fn` is
+ * applied to each value of a `Map` or a plain object and its key.
+ * >> reduceAsync(function(x, y) {return Promise.resolve(x + y)}, 0, [1, 2, 3]) -> 6
+ * >> reduceAsync('s v k -> s + k + v', '', {a: 1, b: 2}) -> "a1b2"
+ * >> reduceAsync('s v k -> s + k + v', '', new Map([['a', 1], ['b', 2]])) -> "a1b2"
+ */
+Functional.reduceAsync = function(fn, init, sequence, options) {
+    fn = Functional.toFunction(fn);
+    var keyed = Functional._isKeyed(sequence),
+        entries = Functional._entries(sequence),
+        signal = options && options.signal,
+        promise = Promise.resolve(init);
+    for (var i = 0; i < entries.length; i++)
+        promise = (function(entry, index) {
+            return promise.then(function(result) {
+                var args = keyed ? [result, entry[1], entry[0]] : [result, entry[1]];
+                return Functional._stage(fn, null, args, index, signal);
+            });
+        })(entries[i], i);
+    return Functional._abortable(promise, signal);
+}
+
+/**
+ * Returns a function that, while $pred(value)$ is false, applies `fn`
+ * to $value$ to produce the next value, waiting for each value.  The
+ * function returns a promise of the first $value$ for which
+ * $pred(value)$ is true.
+ * >> untilAsync('>10', function(x) {return Promise.resolve(2*x)})(1) -> 16
+ */
+Functional.untilAsync = function(pred, fn, options) {
+    pred = Functional.toFunction(pred);
+    fn = Functional.toFunction(fn);
+    var signal = options && options.signal;
+    return function(value) {
+        var step = 0;
+        function loop(value) {
+            return Functional._stage(pred, null, [value], step, signal).then(function(done) {
+                return done ? value : Functional._stage(fn, null, [value], step++, signal).then(loop);
+            });
+        }
+        return Functional._abortable(Promise.resolve(value).then(loop), signal);
+    }
+}
+
+/**
+ * An `Error` that says which function or element of an asynchronous
+ * function failed.  `index` is its index, and `cause` is the error that
+ * it threw or rejected with.
+ * >> var error = new Functional.StageError(new Error('oops'), 2)
+ * >> error.message -> "Stage 2 failed: oops"
+ */
+Functional.StageError = function(cause, index) {
+    this.cause = cause;
+    this.index = index;
+    this.message = 'Stage ' + index + ' failed: ' + (cause instanceof Error ? cause.message : cause);
+    this.stack = this.name + ': ' + this.message + '\n'
+        + (new Error().stack || '').replace(/^.*\n/, '');
+}
+
+Functional.StageError.prototype = Object.create(Error.prototype);
+Functional.StageError.prototype.constructor = Functional.StageError;
+Functional.StageError.prototype.name = 'StageError';
+
+// ^^ Utilities
+
+// Splits the arguments of `composeAsync` or `sequenceAsync` into their
+// functions, and the options object that can follow them.
+Functional._asyncArguments = function(args) {
+    var fns = Functional._slice(args, 0),
+        last = fns[fns.length - 1],
+        options = {};
+    if (last && typeof last == 'object' && !(last instanceof String)
+        && typeof last.toFunction != 'function')
+        options = fns.pop();
+    return {fns:fns.map(function(fn) { return Functional.toFunction(fn); }), options:options};
+}
+
+// Applies `fns` in the order of the indices in `order`, the first to
+// `args` and each of the others to the value of the one before.
+Functional._pipeAsync = function(fns, order, self, args, signal) {
+    var promise = Promise.resolve(args);
+    for (var i = 0; i < order.length; i++)
+        promise = (function(index) {
+            return promise.then(function(args) {
+                return Functional._stage(fns[index], self, args, index, signal).then(function(value) {
+                    return [value];
+                });
+            });
+        })(order[i]);
+    return Functional._abortable(promise.then(function(values) { return values[0]; }), signal);
+}
+
+// Returns a promise of `fn.apply(self, args)`, which rejects with a
+// `StageError` for `index` if `fn` fails, or with the reason for
+// aborting `signal` if it's already aborted.
+Functional._stage = function(fn, self, args, index, signal) {
+    if (signal && signal.aborted)
+        return Promise.reject(Functional._abortReason(signal));
+    return new Promise(function(resolve) {
+        resolve(fn.apply(self, args));
+    }).then(null, function(error) {
+        throw new Functional.StageError(error, index);
+    });
+}
+
+// Returns a promise that settles as `promise` does, or rejects as soon
+// as `signal` is aborted.
+Functional._abortable = function(promise, signal) {
+    if (!signal)
+        return promise;
+    return new Promise(function(resolve, reject) {
+        function abort() {
+            reject(Functional._abortReason(signal));
+        }
+        if (signal.aborted)
+            return abort();
+        signal.addEventListener('abort', abort);
+        promise.then(function(value) {
+            signal.removeEventListener('abort', abort);
+            resolve(value);
+        }, function(error) {
+            signal.removeEventListener('abort', abort);
+            reject(error);
+        });
+    });
+}
+
+// Returns a promise of the array of the values of `fn(value, key)` for
+// the `[key, value]` pairs in `entries`, calling at most
+// `options.concurrency` at a time.
+Functional._stagesAsync = function(fn, entries, options) {
+    fn = Functional.toFunction(fn);
+    options = options || {};
+    var limit = options.concurrency == null ? Infinity : options.concurrency,
+        signal = options.signal;
+    if (limit !== Infinity && !(Number.isInteger(limit) && limit > 0))
+        return Promise.reject(new RangeError('The concurrency should be a positive integer, not ' + limit));
+    var promise = new Promise(function(resolve, reject) {
+        var results = new Array(entries.length),
+            started = 0, running = 0, failed = false;
+        function start(index) {
+            running++;
+            Functional._stage(fn, null, [entries[index][1], entries[index][0]], index, signal).then(function(value) {
+                results[index] = value;
+                running--;
+                next();
+            }, function(error) {
+                failed = true;
+                reject(error);
+            });
+        }
+        function next() {
+            while (!failed && running < limit && started < entries.length)
+                start(started++);
+            running || started < entries.length || resolve(results);
+        }
+        next();
+    });
+    return Functional._abortable(promise, signal);
+}
+
+Functional._abortReason = function(signal) {
+    if (signal.reason !== undefined)
+        return signal.reason;
+    var error = new Error('This operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
@@ -0,0 +1,108 @@
+/*
+ * License: MIT License
+ * Homepage: http://osteele.com/javascripts/functional
+ * Created: 2026-10-19
+ *
+ *
+ * This writes the CommonJS and ES modules in dist/, for `npm run build`.
+ * Each source file becomes a CommonJS module that runs the file with
+ * `Functional.pure` set, so that it leaves the prototypes and the global
+ * object alone, and that adds to the `Functional` namespace of the
+ * modules that it requires.  Each entry point also gets an ES module
+ * that does the same for the ES modules that it imports, without loading
+ * the CommonJS ones, and that has a named export for every public member
+ * of `Functional`.
+ */
+
+var fs = require('fs'),
+    path = require('path');
+
+var root = __dirname,
+    dist = path.join(root, 'dist');
+
+// The modules to write, in dependency order.  `source` is the file that
+// a module runs, and `requires` is the module whose namespace it adds to.
+var modules = [
+    {name: 'to-function', source: 'to-function.js'},
+    {name: 'lambda-interpreter', source: 'lambda-interpreter.js', requires: 'to-function'},
+    {name: 'functional', source: 'functional.js', requires: 'to-function'},
+    {name: 'signatures', source: 'signatures.js', requires: 'functional'},
+    {name: 'async', source: 'async.js', requires: 'functional'},
+    {name: 'index', requires: ['functional', 'lambda-interpreter', 'signatures', 'async']}
+];
+
+// Words that can't name an `export var`.
+var reservedWords = ('arguments await break case catch class const continue debugger ' +
+                     'default delete do else enum eval export extends false finally for ' +
+                     'function if implements import in instanceof interface let new null ' +
+                     'package private protected public return static super switch this ' +
+                     'throw true try typeof var void while with yield').split(' ');
+
+function generated(description) {
+    return '// Generated by build.js from ' + description + '.  Don\'t edit.\n';
+}
+
+// Returns the code that runs the source file of `entry`, if it has one,
+// with the namespace in `Functional`.
+function sourceCall(entry) {
+    if (!entry.source)
+        return [];
+    // The source files find the namespace on `this`, as they do in a
+    // browser, where `this` is the global object.
+    var source = fs.readFileSync(path.join(root, entry.source), 'utf8');
+    return ['(function() {\n' + source.replace(/\s*$/, '\n') + '}).call({Functional: Functional});'];
+}
+
+function commonJSModule(entry) {
+    var requires = [].concat(entry.requires || []),
+        lines = [generated(entry.source || requires.join(', '))];
+    if (!requires.length)
+        lines.push('var Functional = module.exports = {pure: true};');
+    requires.forEach(function(name, i) {
+        var statement = "require('./" + name + ".cjs');";
+        lines.push(i ? statement : 'var Functional = module.exports = ' + statement);
+    });
+    return lines.concat(sourceCall(entry)).join('\n') + '\n';
+}
+
+// Returns the names of the public members of the namespace that
+// `file` exports: the ones that `install` can copy, and `_`.
+function exportedNames(file) {
+    Object.keys(require.cache).forEach(function(key) {
+        if (key.indexOf(dist) == 0)
+            delete require.cache[key];
+    });
+    var Functional = require(file);
+    return Object.keys(Functional).filter(function(name) {
+        if (reservedWords.indexOf(name) >= 0)
+            throw new Error(file + ': `Functional.' + name + '` can\'t be a named export');
+        return name == '_' || name.charAt(0) != '_' && name != 'pure';
+    });
+}
+
+// Returns an ES module for `entry`.  Its code is strict mode code, as the
+// code of every module is, and so is the source file's.
+function esModule(entry, names) {
+    var requires = [].concat(entry.requires || []),
+        lines = [generated(entry.source || requires.join(', '))];
+    if (!requires.length)
+        lines.push('var Functional = {pure: true};');
+    requires.forEach(function(name, i) {
+        lines.push(i ? "import './" + name + ".mjs';"
+                   : "import Functional from './" + name + ".mjs';");
+    });
+    return lines.concat(sourceCall(entry), [
+        '',
+        'export default Functional;'
+    ], names.map(function(name) {
+        return 'export var ' + name + ' = Functional.' + name + ';';
+    })).join('\n') + '\n';
+}
+
+fs.mkdirSync(dist, {recursive: true});
+modules.forEach(function(entry) {
+    var file = path.join(dist, entry.name + '.cjs');
+    fs.writeFileSync(file, commonJSModule(entry));
+    fs.writeFileSync(path.join(dist, entry.name + '.mjs'),
+                     esModule(entry, exportedNames(file)));
+});
@@ -0,0 +1,242 @@
+/*
+ * License: MIT License
+ * Homepage: http://osteele.com/javascripts/functional
+ * Created: 2026-10-19
+ *
+ *
+ * This runs the examples in the doc comments of the source files, for
+ * `npm test`:
+ *   node doctest.js [file...]
+ *
+ * An example is a comment line such as
+ *   >> map('1+', [1, 2]) -> [2, 3]
+ * The runner evaluates the expression, and compares its value to the
+ * value of the expected expression, by structure rather than by
+ * identity.  `-> error` expects the expression to throw, and
+ * `-> function()` expects it to return a function.  An example without
+ * an expected value, such as `>> var lru = new Functional.LRUCache()`,
+ * only has to run without throwing.  If the expression returns a
+ * promise, the runner waits for it, and compares its value instead;
+ * `-> error` then expects it to reject.
+ *
+ * The files load into one context, in order, and the examples run in the
+ * same order, after every public function has been installed, so that
+ * the examples can call them without the `Functional.` prefix.  The
+ * exit status is non-zero if any example fails, or if a `::` line in a
+ * doc comment differs from the signature that debug mode checks for that
+ * function.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    vm = require('vm');
+
+var defaultFiles = ['to-function.js', 'lambda-interpreter.js', 'functional.js', 'signatures.js',
+                    'async.js'];
+
+// Returns the examples in `source`, as `{line, expr, expected}` objects.
+// `expected` is undefined for an example without one.
+function examples(source) {
+    var results = [];
+    source.split('\n').forEach(function(text, i) {
+        var match = text.match(/^\s*(?:\*|\/\/\/?)\s*>>\s+(.*?)\s*$/);
+        if (!match) return;
+        var example = match[1],
+            arrow = lastArrow(example);
+        results.push(arrow < 0
+                     ? {line: i + 1, expr: example}
+                     : {line: i + 1,
+                        expr: example.slice(0, arrow),
+                        expected: example.slice(arrow + 4)});
+    });
+    return results;
+}
+
+// Returns the index of the last ` -> ` in `example` that isn't inside a
+// string, or -1.  The expression itself can contain string lambdas
+// such as `'x -> x+1'`.
+function lastArrow(example) {
+    var result = -1, quote = null;
+    for (var i = 0; i < example.length; i++) {
+        var c = example.charAt(i);
+        if (quote) {
+            if (c == '\\') i++;
+            else if (c == quote) quote = null;
+        } else if (c == '"' || c == "'" || c == '`') {
+            quote = c;
+        } else if (example.substr(i, 4) == ' -> ') {
+            result = i;
+        }
+    }
+    return result;
+}
+
+// Returns the primitive value of a `Number`, `String` or `Boolean` object,
+// such as the `this` of `'this'.call(1)`, and other values as they are.
+function unbox(value) {
+    return /^\[object (Number|String|Boolean)\]$/.test(Object.prototype.toString.call(value))
+        ? value.valueOf()
+        : value;
+}
+
+// Returns true if `a` and `b` have the same structure: they are the same
+// primitive (counting NaN as equal to itself) or the same function, or
+// arrays or objects whose elements or properties are recursively equal.
+function equal(a, b) {
+    a = unbox(a);
+    b = unbox(b);
+    if (a === b || a !== a && b !== b)
+        return true;
+    if (!a || !b || typeof a != 'object' || typeof b != 'object'
+        || Array.isArray(a) != Array.isArray(b))
+        return false;
+    if (Array.isArray(a)) {
+        if (a.length != b.length) return false;
+        for (var i = 0; i < a.length; i++)
+            if (!equal(a[i], b[i])) return false;
+        return true;
+    }
+    var keys = Object.keys(a);
+    if (keys.length != Object.keys(b).length) return false;
+    return keys.every(function(key) {
+        return Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key]);
+    });
+}
+
+// Returns `value` as it's written in an example.
+function show(value) {
+    if (Array.isArray(value))
+        return '[' + value.map(show).join(', ') + ']';
+    switch (typeof value) {
+    case 'function': return 'function()';
+    case 'string': return JSON.stringify(value);
+    case 'bigint': return value + 'n';
+    case 'undefined': return 'undefined';
+    }
+    if (value === null)
+        return 'null';
+    // A plain object, from this file's context or the examples'.
+    if (typeof value == 'object' && !Object.getPrototypeOf(Object.getPrototypeOf(value)))
+        return '{' + Object.keys(value).map(function(key) {
+            return key + ': ' + show(value[key]);
+        }).join(', ') + '}';
+    return String(value);
+}
+
+// Runs `example` from `file` in `context`.  Returns a promise of null if
+// it passes, and of the reason that it fails otherwise.
+function run(example, file, context) {
+    var expected = example.expected;
+    return new Promise(function(resolve) {
+        resolve(vm.runInContext(example.expr, context,
+                                {filename: file, lineOffset: example.line - 1}));
+    }).then(function(value) {
+        return check(value, expected, context);
+    }, function(e) {
+        return expected == 'error' ? null : 'threw ' + e;
+    });
+}
+
+// Returns null if `value` is the `expected` value of an example, and the
+// reason that it isn't otherwise.
+function check(value, expected, context) {
+    if (expected === undefined)
+        return null;
+    if (expected == 'error')
+        return 'returned ' + show(value) + ' instead of throwing';
+    if (expected == 'function()')
+        return typeof value == 'function' ? null : 'returned ' + show(value);
+    try {
+        // The parentheses read `{a: 1}` as an object, not a block.
+        expected = vm.runInContext('(' + expected + ')', context);
+    } catch (e) {
+        return 'the expected value threw ' + e;
+    }
+    return equal(value, expected) ? null : 'returned ' + show(value);
+}
+
+// Returns the `{line, name, signatures}` of the doc comments in `source`
+// that have `::` lines, where `name` is the name of the function that the
+// comment documents.
+function documentedSignatures(source) {
+    var results = [],
+        pattern = /\/\*\*([\s\S]*?)\*\/\s*\nFunctional\.(?:_functionMethods\.)?(\w+)\s*=/g,
+        match;
+    while ((match = pattern.exec(source))) {
+        var signatures = match[1].split('\n').map(function(text) {
+            var line = text.match(/^\s*\*\s*::\s*(.*?)\s*$/);
+            return line && line[1];
+        }).filter(Boolean);
+        if (signatures.length)
+            results.push({line: source.slice(0, match.index).split('\n').length,
+                          name: match[2],
+                          signatures: signatures});
+    }
+    return results;
+}
+
+// Returns the reasons that the signatures that debug mode checks differ
+// from the `::` lines in the doc comments in `file`.
+function signatureDrift(file, source, context) {
+    var table = vm.runInContext('Functional._signatures', context);
+    if (!table)
+        return [];
+    return documentedSignatures(source).filter(function(doc) {
+        return table.hasOwnProperty(doc.name) && doc.signatures.indexOf(table[doc.name]) < 0;
+    }).map(function(doc) {
+        return file + ':' + doc.line + ': the signature of ' + doc.name
+            + '\n    is ' + doc.signatures.join(' or ') + ', but debug mode checks '
+            + table[doc.name];
+    });
+}
+
+// Returns a promise of the exit status.
+function main(files) {
+    var context = vm.createContext({console: console,
+                                    setTimeout: setTimeout,
+                                    clearTimeout: clearTimeout,
+                                    AbortController: AbortController}),
+        passed = 0, failed = 0,
+        promise = Promise.resolve();
+    files.forEach(function(file) {
+        vm.runInContext(fs.readFileSync(path.resolve(__dirname, file), 'utf8'),
+                        context, {filename: file});
+    });
+    vm.runInContext('Functional.install(Object.keys(Functional))', context);
+    files.forEach(function(file) {
+        var source = fs.readFileSync(path.resolve(__dirname, file), 'utf8');
+        signatureDrift(file, source, context).forEach(function(reason) {
+            failed++;
+            console.log(reason);
+        });
+        examples(source).forEach(function(example) {
+            promise = promise.then(function() {
+                return run(example, file, context);
+            }).then(function(failure) {
+                if (!failure)
+                    return passed++;
+                failed++;
+                console.log(file + ':' + example.line + ': ' + example.expr);
+                console.log('    ' + failure
+                            + (example.expected ? '; expected ' + example.expected : ''));
+            });
+        });
+    });
+    return promise.then(function() {
+        console.log(passed + ' passed, ' + failed + ' failed');
+        return failed ? 1 : 0;
+    });
+}
+
+// Node exits without settling the promise if an example's promise never
+// settles.
+process.on('exit', function() {
+    if (process.exitCode === undefined) {
+        console.log('an example never finished');
+        process.exitCode = 1;
+    }
+});
+
+main(process.argv.slice(2).length ? process.argv.slice(2) : defaultFiles).then(function(status) {
+    process.exitCode = status;
+});
@@ -17,22 +17,62 @@
 var Functional = this.Functional || {};
 
 /**
- * This function copies all the public functions in `Functional` except itself
- * into the global namespace.  If the optional argument $except$ is present,
- * functions named by its property names are not copied.
+ * Unless `Functional.pure` is true when this file and to-function.js
+ * load, they define their methods on `Function.prototype` and
+ * `String.prototype`, and `_` and `Array.slice` on the global
+ * object.  A program that sets it before loading them:
+ *   <script>var Functional = {pure: true};</script>
+ * leaves every prototype and global except `Functional` alone, and uses
+ * the function forms instead: `Functional.curry(fn, args...)` for
+ * `fn.curry(args...)`, `Functional.compileLambda(string)` for
+ * `string.lambda()`, and `Functional._` for `_`.
+ */
+
+// The methods that this file defines for functions.  Unless
+// `Functional.pure` is set, the end of this file copies them to
+// `Function.prototype`.
+Functional._functionMethods = Functional._functionMethods || {};
+
+/**
+ * This function copies the classic public functions in `Functional` into
+ * the global namespace: `compose`, `sequence`, `map`, `reduce`, `select`,
+ * `filter`, `foldl`, `foldr`, `and`, `or`, `some`, `every`, `not`,
+ * `equal`, `lambda`, `invoke`, `pluck`, `until`, `zip`, `I`, `K`, `id`,
+ * `constfn`, `saturate`, `aritize`, `curry`, `rcurry`, `ncurry`,
+ * `rncurry`, `partial`, `flip`, `uncurry`, `prefilterObject`,
+ * `prefilterAt`, `prefilterSlice`, `guard` and `traced`.  If the optional
+ * argument $except$ is present, functions named by its property names are
+ * not copied.  If it's an array, only the functions that it names are
+ * copied, and these can be any of the public functions, such as
+ * `toFunction`.
  * >> Functional.install()
+ * >> Functional.install(['toFunction'])
  */
 Functional.install = function(except) {
     var source = Functional,
-        target = (function() { return this; })();  // References the global object.
-    for (var name in source)
+        target = Functional._global(),
+        names = Array.isArray(except) ? except : Functional._installNames;
+    names.forEach(function(name) {
         name == 'install'
+        || name == 'pure'
         || name.charAt(0) == '_'
-        || except && name in except
+        || !Array.isArray(except) && except && name in except
         || !source.hasOwnProperty(name) // work around Prototype
         || (target[name] = source[name]);
+    });
 }
 
+// The functions that `install` copies by default.  The functions that
+// have been added since are left out, so that a page that installs the
+// library doesn't gain globals with names as common as `set`, `key` or
+// `bind`.
+Functional._installNames = [
+    'compose', 'sequence', 'map', 'reduce', 'select', 'filter', 'foldl',
+    'foldr', 'and', 'or', 'some', 'every', 'not', 'equal', 'lambda', 'invoke',
+    'pluck', 'until', 'zip', 'I', 'K', 'id', 'constfn', 'saturate', 'aritize',
+    'curry', 'rcurry', 'ncurry', 'rncurry', 'partial', 'flip', 'uncurry',
+    'prefilterObject', 'prefilterAt', 'prefilterSlice', 'guard', 'traced'];
+
 /// ^ Higher-order functions
 
 /**
@@ -40,49 +80,70 @@ Functional.install = function(except) {
  * function to its input, and the penultimate argument to the
  * result of the application, and so on.
  * == compose(f1, f2, f3..., fn)(args) == f1(f2(f3(...(fn(args...)))))
- * :: (a2 -> a1) (a3 -> a2)... (a... -> a_{n}) -> a... -> a1
+ * :: (a2 -> a1)... (a... -> a2) -> a... -> a1
  * >> compose('1+', '2*')(2) -> 5
  */
 Functional.compose = function(/*fn...*/) {
-    var fns = Functional.map(Function.toFunction, arguments),
+    var fns = Functional.map(Functional.toFunction, arguments),
         arglen = fns.length;
     return function() {
+        var args = arguments;
         for (var i = arglen; --i >= 0; )
-            arguments = [fns[i].apply(this, arguments)];
-        return arguments[0];
+            args = [fns[i].apply(this, args)];
+        return args[0];
     }
 }
 
 /**
  * Same as `compose`, except applies the functions in argument-list order.
  * == sequence(f1, f2, f3..., fn)(args...) == fn(...(f3(f2(f1(args...)))))
- * :: (a... -> a1) (a1 -> a2) (a2 -> a3)... (a_{n-1} -> a_{n})  -> a... -> a_{n}
+ * :: (a... -> a1) (a1 -> a2)... -> a... -> a_{n}
  * >> sequence('1+', '2*')(2) -> 6
  */
 Functional.sequence = function(/*fn...*/) {
-    var fns = Functional.map(Function.toFunction, arguments),
+    var fns = Functional.map(Functional.toFunction, arguments),
         arglen = fns.length;
     return function() {
+        var args = arguments;
         for (var i = 0; i < arglen; i++)
-            arguments = [fns[i].apply(this, arguments)];
-        return arguments[0];
+            args = [fns[i].apply(this, args)];
+        return args[0];
     }
 }
 
 /**
  * Applies `fn` to each element of `sequence`.
  * == map(f, [x1, x2...]) = [f(x, 0), f(x2, 1), ...]
- * :: (a ix -> boolean) [a] -> [a]
+ * :: (a ix -> b) [a] -> [b]
  * >> map('1+', [1,2,3]) -> [2, 3, 4]
  *
  * If `object` is supplied, it is the object of the call.
  *
+ * `sequence` can be an iterable, such as a generator, as well as an
+ * array.  So can the sequences of the other functions here.
+ * >> map('x*2', Functional.Seq.range(1, 3)) -> [2, 4]
+ *
+ * If `sequence` is a `Map`, a `Set` or a plain object, `map` returns
+ * another of the same kind.  The function is applied to each value of a
+ * `Map` or an object and its key, which the result keeps.  `select`
+ * keeps those kinds too, and `reduce`, `some` and `every` read the values
+ * and keys of a `Map` or an object in the same way.
+ * >> map('n k -> k + n', {a: 1, b: 2}) -> {a: "a1", b: "b2"}
+ * >> Array.from(map('x*2', new Map([['a', 1]]))) -> [["a", 2]]
+ * >> Array.from(map('x*2', new Set([1, 2]))) -> [2, 4]
+ *
  * The fusion rule:
  * >> map('+1', map('*2', [1,2,3])) -> [3, 5, 7]
  * >> map(compose('+1', '*2'), [1,2,3]) -> [3, 5, 7]
  */
 Functional.map = function(fn, sequence, object) {
-    fn = Function.toFunction(fn);
+    fn = Functional.toFunction(fn);
+    var kind = Functional._collectionKind(sequence);
+    if (kind != 'sequence')
+        return Functional._fromEntries(kind, Functional._entries(sequence).map(function(entry) {
+            return [entry[0], fn.apply(object, [entry[1], entry[0]])];
+        }));
+    sequence = Functional._toArray(sequence);
     var len = sequence.length,
         result = new Array(len);
     for (var i = 0; i < len; i++)
@@ -94,26 +155,46 @@ Functional.map = function(fn, sequence, object) {
  * Applies `fn` to `init` and the first element of `sequence`,
  * and then to the result and the second element, and so on.
  * == reduce(f, init, [x0, x1, x2]) == f(f(f(init, x0), x1), x2)
- * :: (a b -> a) a [b] -> a
+ * :: (a b k? -> a) a [b] -> a
  * >> reduce('x y -> 2*x+y', 0, [1,0,1,0]) -> 10
+ *
+ * If `fn` returns `Functional.reduced(value)`, `reduce` stops there, and
+ * returns `value`, even from an infinite sequence:
+ * >> reduce('x y -> y > 3 ? Functional.reduced(x) : x + y', 0, Functional.Seq.range(1)) -> 6
+ *
+ * The function is applied to the values of a `Map` or a plain object,
+ * and their keys:
+ * >> reduce('s n k -> s + k + n', '', {a: 1, b: 2}) -> "a1b2"
  */
 Functional.reduce = function(fn, init, sequence, object) {
-    fn = Function.toFunction(fn);
-    var len = sequence.length,
+    fn = Functional.toFunction(fn);
+    var keyed = Functional._isKeyed(sequence),
+        iterator = Functional._iterate(keyed ? Functional._entries(sequence) : sequence),
         result = init;
-    for (var i = 0; i < len; i++)
-        result = fn.apply(object, [result, sequence[i]]);
+    for (var item; !(item = iterator.next()).done; ) {
+        var args = keyed ? [result, item.value[1], item.value[0]] : [result, item.value];
+        if ((result = fn.apply(object, args)) instanceof Functional.Reduced)
+            return result.value;
+    }
     return result;
 }
 
 /**
  * Returns a list of those elements $x$ of `sequence` such that
  * $fn(x)$ returns true.
- * :: (a -> boolean) [a] -> [a]
+ * :: (a ix -> boolean) [a] -> [a]
  * >> select('%2', [1,2,3,4]) -> [1, 3]
+ * >> select('n k -> k != "b"', {a: 1, b: 2}) -> {a: 1}
+ * >> Array.from(select('%2', new Set([1, 2, 3]))) -> [1, 3]
  */
 Functional.select = function(fn, sequence, object) {
-    fn = Function.toFunction(fn);
+    fn = Functional.toFunction(fn);
+    var kind = Functional._collectionKind(sequence);
+    if (kind != 'sequence')
+        return Functional._fromEntries(kind, Functional._entries(sequence).filter(function(entry) {
+            return fn.apply(object, [entry[1], entry[0]]);
+        }));
+    sequence = Functional._toArray(sequence);
     var len = sequence.length,
         result = [];
     for (var i = 0; i < len; i++) {
@@ -136,7 +217,8 @@ Functional.foldl = Functional.reduce;
  * >> foldr('x y -> 2*x+y', 100, [1,0,1,0]) -> 104
  */
 Functional.foldr = function(fn, init, sequence, object) {
-    fn = Function.toFunction(fn);
+    fn = Functional.toFunction(fn);
+    sequence = Functional._toArray(sequence);
     var len = sequence.length,
         result = init;
     for (var i = len; --i >= 0; )
@@ -150,13 +232,13 @@ Functional.foldr = function(fn, init, sequence, object) {
  * Returns a function that returns `true` when all the arguments, applied
  * to the returned function's arguments, returns true.
  * == and(f1, f2...)(args...) == f1(args...) && f2(args...)...
- * :: [a -> boolean] a -> a
+ * :: (a... -> boolean)... -> a... -> boolean
  * >> and('>1', '>2')(2) -> false
  * >> and('>1', '>2')(3) -> true
  * >> and('>1', 'error()')(1) -> false
  */
 Functional.and = function(/*functions...*/) {
-    var args = Functional.map(Function.toFunction, arguments),
+    var args = Functional.map(Functional.toFunction, arguments),
         arglen = args.length;
     return function() {
         var value = true;
@@ -171,13 +253,13 @@ Functional.and = function(/*functions...*/) {
  * Returns a function that returns `true` when any argument, applied
  * to the returned function's arguments, returns true.
  * == or(f1, f2...)(args...) == f1(args...) || f2(args...)...
- * :: [a -> boolean] a -> a
+ * :: (a... -> boolean)... -> a... -> boolean
  * >> or('>1', '>2')(1) -> false
  * >> or('>1', '>2')(2) -> true
  * >> or('>1', 'error()')(2) -> true
  */
 Functional.or = function(/*functions...*/) {
-    var args = Functional.map(Function.toFunction, arguments),
+    var args = Functional.map(Functional.toFunction, arguments),
         arglen = args.length;
     return function() {
         var value = false;
@@ -192,17 +274,24 @@ Functional.or = function(/*functions...*/) {
  * Returns true when $fn(x)$ returns true for some element $x$ of
  * `sequence`.  The returned function short-circuits.
  * == some(f, [x1, x2, x3, ...]) == f(x1) || f(x2) || f(x3)...
- * :: (a -> boolean) [a] -> boolean
+ * :: (a k? -> boolean) [a] -> boolean
  * >> some('>2', [1,2,3]) -> true
  * >> some('>10', [1,2,3]) -> false
+ *
+ * It stops at the first such element, even of an infinite sequence:
+ * >> some('>10', Functional.Seq.range(1)) -> true
+ * >> some('n k -> k == "b" && n > 0', {a: 1, b: 0}) -> false
  */
 Functional.some = function(fn, sequence, object) {
-    fn = Function.toFunction(fn);
-    var len = sequence.length,
+    fn = Functional.toFunction(fn);
+    var keyed = Functional._isKeyed(sequence),
+        iterator = Functional._iterate(keyed ? Functional._entries(sequence) : sequence),
         value = false;
-    for (var i = 0; i < len; i++)
-        if ((value = fn.call(object, sequence[i])))
+    for (var item; !(item = iterator.next()).done; ) {
+        var args = keyed ? [item.value[1], item.value[0]] : [item.value];
+        if ((value = fn.apply(object, args)))
             break;
+    }
     return value;
 }
 
@@ -210,164 +299,2166 @@ Functional.some = function(fn, sequence, object) {
  * Returns true when $fn(x)$ returns true for every element $x$ of
  * `sequence`.  The returned function short-circuits.
  * == every(f, [x1, x2, x3, ...]) == f(x1) && f(x2) && f(x3)...
- * :: (a -> boolean) [a] -> boolean
+ * :: (a k? -> boolean) [a] -> boolean
  * >> every('<2', [1,2,3]) -> false
  * >> every('<10', [1,2,3]) -> true
+ * >> every('>0', new Map([['a', 1], ['b', 2]])) -> true
  */
 Functional.every = function(fn, sequence, object) {
-    fn = Function.toFunction(fn);
-    var len = sequence.length,
+    fn = Functional.toFunction(fn);
+    var keyed = Functional._isKeyed(sequence),
+        iterator = Functional._iterate(keyed ? Functional._entries(sequence) : sequence),
         value = true;
-    for (var i = 0; i < len; i++)
-        if (!(value = fn.call(object, sequence[i])))
+    for (var item; !(item = iterator.next()).done; ) {
+        var args = keyed ? [item.value[1], item.value[0]] : [item.value];
+        if (!(value = fn.apply(object, args)))
             break;
+    }
+    return value;
+}
+
+/**
+ * Returns a function that returns `true` when $fn()$ returns false.
+ * == f.not()(args...) == !f(args...)
+ * :: (a... -> b) -> a... -> boolean
+ * >> not(Functional.K(true))() -> false
+ * >> not(Functional.K(false))() -> true
+ */
+Functional.not = function(fn) {
+    fn = Functional.toFunction(fn);
+    return function() {
+        return !fn.apply(null, arguments);
+    }
+}
+
+/**
+ * Returns a function that returns true when this function's arguments
+ * applied to that functions are always the same.  The returned function
+ * short-circuits.
+ * == equal(f1, f2...)(args...) == f1(args...) == f2(args...)...
+ * :: (a... -> b)... -> a... -> boolean
+ * >> equal()() -> true
+ * >> equal(K(1))() -> true
+ * >> equal(K(1), K(1))() -> true
+ * >> equal(K(1), K(2))() -> false
+ * >> equal(K(1), K(2), 'error()')() -> false
+ */
+Functional.equal = function(/*fn...*/) {
+    var arglen = arguments.length,
+        args = Functional.map(Functional.toFunction, arguments);
+    if (!arglen) return Functional.K(true);
+    // if arglen == 1 it's also constant true, but
+    // call it for effect.
+    return function() {
+        var value = args[0].apply(this, arguments);
+        for (var i = 1; i < arglen; i++)
+            if (value != args[i].apply(this, arguments))
+                return false;
+        return true;
+    }
+}
+
+
+/// ^^ Conditionals
+
+/**
+ * Returns a function that applies the function of the first
+ * `[pred, fn]` pair of `clauses` whose `pred` returns true for its
+ * arguments, or `otherwise` if none does.  Without `otherwise`, it
+ * throws a `Functional.MatchError`.  The functions can be string
+ * lambdas.
+ * == cond([[p, f]], g) == f.guard(p, g)
+ * >> var sign = Functional.cond([['<0', '-> -1'], ['>0', '-> 1']], '-> 0')
+ * >> map(sign, [-5, 0, 3]) -> [-1, 0, 1]
+ * >> Functional.cond([['x y -> x > y', 'x y -> x - y']], '-> 0')(5, 2) -> 3
+ * >> Functional.cond([['<0', '-> -1']])(1) -> error
+ */
+Functional.cond = function(clauses, otherwise) {
+    clauses = Array.from(clauses, function(clause) {
+        return {pred:Functional.toFunction(clause[0]), fn:Functional.toFunction(clause[1]),
+                source:clause[0]};
+    });
+    otherwise = otherwise == null ? null : Functional.toFunction(otherwise);
+    return function() {
+        for (var i = 0; i < clauses.length; i++)
+            if (clauses[i].pred.apply(this, arguments))
+                return clauses[i].fn.apply(this, arguments);
+        if (otherwise)
+            return otherwise.apply(this, arguments);
+        throw new Functional.MatchError(Functional._slice(arguments, 0), clauses.map(function(clause) {
+            return clause.source;
+        }));
+    }
+}
+
+/**
+ * Returns a function that matches its argument against the pattern of
+ * each `[pattern, fn]` pair of `clauses`, and applies the `fn` of the
+ * first that matches to the bindings that the pattern captured and the
+ * value.  A `[pattern, guard, fn]` clause also requires
+ * $guard(bindings, value)$ to be true.  If no clause matches, the
+ * function applies `otherwise` to the value, or, without `otherwise`,
+ * throws a `Functional.MatchError` that lists the patterns.  The
+ * functions can be string lambdas.
+ *
+ * A pattern is one of:
+ * - a literal, such as `1`, `'circle'` or `null`, that matches a value
+ *   that is `===` to it (or `NaN`, for `NaN`);
+ * - a constructor, such as `Number`, `String`, `Array`, `Object` or a
+ *   class, that matches a value of that type.  Another function, such
+ *   as an arrow function, is a `TypeError`: use a guard to test a value
+ *   with a predicate;
+ * - an array of patterns, that matches an array of the same length whose
+ *   elements match them, or, if it ends in `Functional.rest`, an array
+ *   that starts with elements that match them;
+ * - an object of patterns, that matches a value whose properties match
+ *   them, whatever its other properties;
+ * - `_`, which matches any value, or `Functional.key(name)`, which
+ *   matches any value and captures it as `bindings[name]`.
+ * >> var key = Functional.key
+ * >> var area = Functional.match([[{shape: 'circle', r: key('r')}, 'b -> 3 * b.r * b.r'], [{shape: 'rect', w: key('w'), h: key('h')}, 'b -> b.w * b.h']])
+ * >> area({shape: 'rect', w: 2, h: 3}) -> 6
+ * >> area({shape: 'circle', r: 1}) -> 3
+ * >> area({shape: 'hexagon'}) -> error
+ * >> var describe = Functional.match([[[], '-> "empty"'], [[key('x')], 'b -> "one: " + b.x'], [[_, _, Functional.rest], '-> "many"'], [String, 'b s -> "text: " + s']], '-> "other"')
+ * >> [describe([]), describe([1]), describe([1, 2, 3]), describe('hi'), describe(7)] -> ["empty", "one: 1", "many", "text: hi", "other"]
+ * >> Functional.match([[key('n'), 'b -> b.n < 0', '-> "negative"'], [Number, '-> "number"']])(-1) -> "negative"
+ * >> Functional.match([[{n: Math.abs}, '-> 1']]) -> error
+ */
+Functional.match = function(clauses, otherwise) {
+    clauses = Array.from(clauses, function(clause) {
+        var guarded = clause.length > 2;
+        Functional._checkPattern(clause[0]);
+        return {pattern:clause[0],
+                guard:guarded ? Functional.toFunction(clause[1]) : null,
+                fn:Functional.toFunction(clause[guarded ? 2 : 1])};
+    });
+    otherwise = otherwise == null ? null : Functional.toFunction(otherwise);
+    return function(value) {
+        for (var i = 0; i < clauses.length; i++) {
+            var clause = clauses[i], bindings = {};
+            if (Functional._matchPattern(clause.pattern, value, bindings)
+                && (!clause.guard || clause.guard.call(this, bindings, value)))
+                return clause.fn.call(this, bindings, value);
+        }
+        if (otherwise)
+            return otherwise.call(this, value);
+        throw new Functional.MatchError([value], clauses.map(function(clause) {
+            return clause.pattern;
+        }));
+    }
+}
+
+/**
+ * An `Error` that says that no clause of `cond` or `match` applied to
+ * `args`.  `patterns` are the patterns, or the predicates, that it
+ * tried.
+ * >> var error = new Functional.MatchError([5], ['<0', String, [Functional.key('x'), Functional.rest]])
+ * >> error.message -> 'No pattern matched 5; tried "<0", String, [x, ...]'
+ * >> var loop = {x: 1}; loop.self = loop
+ * >> new Functional.MatchError([loop], [Number]).message -> "No pattern matched {x: 1, self: [Circular]}; tried Number"
+ */
+Functional.MatchError = function(args, patterns) {
+    this.args = args;
+    this.patterns = patterns;
+    this.message = 'No pattern matched ' + args.map(Functional._describePattern).join(', ')
+        + '; tried ' + patterns.map(Functional._describePattern).join(', ');
+    this.stack = this.name + ': ' + this.message + '\n'
+        + (new Error().stack || '').replace(/^.*\n/, '');
+}
+
+Functional.MatchError.prototype = Object.create(Error.prototype);
+Functional.MatchError.prototype.constructor = Functional.MatchError;
+Functional.MatchError.prototype.name = 'MatchError';
+
+// Returns true if `value` matches `pattern`, as for `match`, and adds
+// what the pattern captures to `bindings`.
+Functional._matchPattern = function(pattern, value, bindings) {
+    if (pattern === Functional._)
+        return true;
+    if (pattern instanceof Functional._Key) {
+        bindings[pattern.name] = value;
+        return true;
+    }
+    if (typeof pattern == 'function')
+        return Functional._isInstance(value, pattern);
+    if (Array.isArray(pattern)) {
+        var rest = pattern[pattern.length - 1] === Functional.rest,
+            length = rest ? pattern.length - 1 : pattern.length;
+        if (!Array.isArray(value) || (rest ? value.length < length : value.length != length))
+            return false;
+        for (var i = 0; i < length; i++)
+            if (!Functional._matchPattern(pattern[i], value[i], bindings))
+                return false;
+        return true;
+    }
+    if (Functional._isPlainObject(pattern))
+        return value != null && Object.keys(pattern).every(function(key) {
+            return key in Object(value) && Functional._matchPattern(pattern[key], value[key], bindings);
+        });
+    return pattern === value || pattern !== pattern && value !== value;
+}
+
+// Returns true if `value` is a `type`: for the constructors of the
+// primitive types, a value of that `typeof`.
+Functional._isInstance = function(value, type) {
+    switch (type) {
+    case Number: return typeof value == 'number';
+    case String: return typeof value == 'string' || value instanceof String;
+    case Boolean: return typeof value == 'boolean';
+    case Symbol: return typeof value == 'symbol';
+    case Function: return typeof value == 'function';
+    case Array: return Array.isArray(value);
+    case Object: return value !== null && typeof value == 'object';
+    }
+    return value instanceof type;
+}
+
+// Returns `pattern` as it would be written, for a `MatchError`.  An
+// array or object inside itself is written as `[Circular]`.
+Functional._describePattern = function(pattern) {
+    var ancestors = [];
+    function describe(pattern) {
+        if (pattern === Functional._)
+            return '_';
+        if (pattern === Functional.rest)
+            return '...';
+        if (pattern instanceof Functional._Key)
+            return pattern.name;
+        if (typeof pattern == 'function')
+            return pattern.name || 'function';
+        if (typeof pattern == 'string' || pattern instanceof String)
+            return JSON.stringify(String(pattern));
+        if (!Array.isArray(pattern) && !Functional._isPlainObject(pattern))
+            return String(pattern);
+        if (ancestors.indexOf(pattern) >= 0)
+            return '[Circular]';
+        ancestors.push(pattern);
+        var text = Array.isArray(pattern)
+            ? '[' + pattern.map(function(element) { return describe(element); }).join(', ') + ']'
+            : '{' + Object.keys(pattern).map(function(key) {
+                return key + ': ' + describe(pattern[key]);
+            }).join(', ') + '}';
+        ancestors.pop();
+        return text;
+    }
+    return describe(pattern);
+}
+
+// Throws a `TypeError` if `pattern` contains a function that isn't a
+// constructor, such as an arrow function, which `instanceof` can't test.
+Functional._checkPattern = function(pattern) {
+    if (typeof pattern == 'function' && typeof pattern.prototype != 'object')
+        throw new TypeError('A function in a pattern should be a constructor, not '
+                            + Functional._describePattern(pattern));
+    if (Array.isArray(pattern))
+        pattern.forEach(function(element) { Functional._checkPattern(element); });
+    else if (Functional._isPlainObject(pattern))
+        Object.keys(pattern).forEach(function(key) { Functional._checkPattern(pattern[key]); });
+}
+
+/// ^^ Utilities
+
+/**
+  * Returns its argument coerced to a function.
+  * >> lambda('1+')(2) -> 3
+  * >> lambda(function(n){return n+1})(2) -> 3
+  */
+Functional.lambda = function(object) {
+    return Functional.toFunction(object);
+}
+
+
+/**
+ * Returns a function that takes an object as an argument, and applies
+ * `object`'s `methodName` method to `arguments`.
+ * == invoke(name)(object, args...) == object[name](args...)
+ * :: name args... -> object args2... -> object[name](args... args2...)
+ * >> invoke('toString')(123) -> "123"
+ */
+Functional.invoke = function(methodName/*, arguments*/) {
+    var args = Functional._slice(arguments, 1);
+    return function(object) {
+        return object[methodName].apply(object, Functional._slice(arguments, 1).concat(args));
+    }
+}
+
+/**
+ * Returns a function that takes an object, and returns the value of its
+ * `name` property.  `pluck(name)` is equivalent to `'_.name'.lambda()`.
+ * To read a nested property, or to change one, use a lens (`lensPath`).
+ * == pluck(name)(object) == object[name]
+ * :: name -> object -> object[name]
+ * >> pluck('length')("abc") -> 3
+ */
+Functional.pluck = function(name) {
+    return function(object) {
+        return object[name];
+    }
+}
+
+/**
+ * Returns a function that, while $pred(value)$ is true, applies `fn` to
+ * $value$ to produce a new value, which is used as an input for the next round.
+ * The returned function returns the first $value$ for which $pred(value)$
+ * is false.
+ * :: (a -> boolean) (a -> a) -> a -> a
+ * >> until('>10', '2*')(1) -> 16
+ */
+Functional.until = function(pred, fn) {
+    fn = Functional.toFunction(fn);
+    pred = Functional.toFunction(pred);
+    return function(value) {
+        while (!pred.call(null, value))
+            value = fn.call(null, value);
+        return value;
+    }
+}
+
+/**
+ * :: [a] [b]... -> [[a b...]]
+ * == zip(a, b...) == [[a0, b0], [a1, b1], ...]
+ * Did you know that `zip` can transpose a matrix?
+ * >> zip.apply(null, [[1,2],[3,4]]) -> [[1, 3], [2, 4]]
+ */
+Functional.zip = function(/*args...*/) {
+    var args = Functional.map(Functional._toArray, arguments);
+    var n = Math.min.apply(null, Functional.map('.length', args));
+    var results = new Array(n);
+    for (var i = 0; i < n; i++) {
+        var key = String(i);
+        results[key] = Functional.map(Functional.pluck(key), args);
+    };
+    return results;
+}
+
+/// ^^ Objects
+
+/**
+ * Returns a collection of the same kind as `object`, a plain object or
+ * a `Map`, whose keys are $fn(key, value)$ for each of its keys and
+ * values.
+ * >> mapKeys('k -> k.toUpperCase()', {a: 1, b: 2}) -> {A: 1, B: 2}
+ * >> Array.from(mapKeys('k v -> k + v', new Map([['a', 1]]))) -> [["a1", 1]]
+ */
+Functional.mapKeys = function(fn, object) {
+    fn = Functional.toFunction(fn);
+    return Functional.mapEntries(function(key, value) {
+        return [fn(key, value), value];
+    }, object);
+}
+
+/**
+ * Returns a collection of the same kind as `object`, a plain object or
+ * a `Map`, whose entries are the `[key, value]` pairs that
+ * $fn(key, value)$ returns for each of its keys and values.
+ * >> mapEntries('k v -> [v, k]', {a: 'x', b: 'y'}) -> {x: "a", y: "b"}
+ */
+Functional.mapEntries = function(fn, object) {
+    fn = Functional.toFunction(fn);
+    var kind = Functional._collectionKind(object);
+    return Functional._fromEntries(kind == 'map' ? kind : 'object',
+                                   Functional._entries(object).map(function(entry) {
+                                       return fn(entry[0], entry[1]);
+                                   }));
+}
+
+/**
+ * Returns a copy of `object`, a plain object or a `Map`, with only the
+ * keys in `keys`, which it has.
+ * >> pick(['a', 'c'], {a: 1, b: 2, c: 3}) -> {a: 1, c: 3}
+ * >> pick(['a', 'z'], {a: 1}) -> {a: 1}
+ */
+Functional.pick = function(keys, object) {
+    var wanted = new Set(Functional._toArray(keys)),
+        entries = Functional._entries(object).filter(function(entry) {
+            return wanted.has(entry[0]);
+        });
+    return Functional._fromEntries(Functional._collectionKind(object), entries);
+}
+
+/**
+ * Returns a copy of `object`, a plain object or a `Map`, without the
+ * keys in `keys`.
+ * >> omit(['b'], {a: 1, b: 2, c: 3}) -> {a: 1, c: 3}
+ * >> Array.from(omit(['b'], new Map([['a', 1], ['b', 2]]))) -> [["a", 1]]
+ */
+Functional.omit = function(keys, object) {
+    var unwanted = new Set(Functional._toArray(keys)),
+        entries = Functional._entries(object).filter(function(entry) {
+            return !unwanted.has(entry[0]);
+        });
+    return Functional._fromEntries(Functional._collectionKind(object), entries);
+}
+
+/**
+ * Returns an object with the `[key, value]` pairs of `pairs`, which can
+ * be an array or another iterable, such as a `Map`.
+ * == fromPairs(toPairs(object)) == object
+ * >> fromPairs([['a', 1], ['b', 2]]) -> {a: 1, b: 2}
+ * >> fromPairs(new Map([['a', 1]])) -> {a: 1}
+ */
+Functional.fromPairs = function(pairs) {
+    return Functional._fromEntries('object', Array.from(Functional._toArray(pairs)));
+}
+
+/**
+ * Returns an array of the `[key, value]` pairs of a plain object or a
+ * `Map`, or of the indices and elements of a sequence.
+ * >> toPairs({a: 1, b: 2}) -> [["a", 1], ["b", 2]]
+ * >> toPairs(['x', 'y']) -> [[0, "x"], [1, "y"]]
+ */
+Functional.toPairs = function(object) {
+    return Functional._entries(object);
+}
+
+/// ^^ Aggregation
+
+/**
+ * Returns an object whose keys are the values of $fn(x, index)$ for the
+ * elements $x$ of `sequence`, and whose values are arrays of the
+ * elements, in order, for which `fn` returned that key.  As with `map`,
+ * `object` is the object of the calls, and a `Map` or a plain object's
+ * values are passed with their keys.  The same is true of the other
+ * functions here.
+ * :: (a ix -> b) [a] -> object
+ * >> groupBy('.length', ['a', 'bb', 'c']) -> {1: ["a", "c"], 2: ["bb"]}
+ * >> groupBy('%2 ? "odd" : "even"', [1, 2, 3]) -> {odd: [1, 3], even: [2]}
+ */
+Functional.groupBy = function(fn, sequence, object) {
+    return Functional._aggregate(fn, sequence, object, function(groups, key, value, seen) {
+        seen ? groups[key].push(value) : Functional._setOwn(groups, key, [value]);
+    });
+}
+
+/**
+ * Returns an object whose keys are the values of `fn` for the elements
+ * of `sequence`, and whose values are the number of elements for which
+ * `fn` returned that key.
+ * :: (a ix -> b) [a] -> object
+ * >> countBy('>1', [1, 2, 3]) -> {false: 1, true: 2}
+ */
+Functional.countBy = function(fn, sequence, object) {
+    return Functional._aggregate(fn, sequence, object, function(counts, key, value, seen) {
+        Functional._setOwn(counts, key, seen ? counts[key] + 1 : 1);
+    });
+}
+
+/**
+ * Returns an object whose keys are the values of `fn` for the elements
+ * of `sequence`, and whose values are the last element for which `fn`
+ * returned that key.
+ * :: (a ix -> b) [a] -> object
+ * >> indexBy('.id', [{id: 'a', n: 1}, {id: 'b', n: 2}]).b -> {id: "b", n: 2}
+ */
+Functional.indexBy = function(fn, sequence, object) {
+    return Functional._aggregate(fn, sequence, object, function(index, key, value) {
+        Functional._setOwn(index, key, value);
+    });
+}
+
+/**
+ * Returns an array of two arrays: the elements of `sequence` for which
+ * `fn` returns true, and the others.
+ * == partition(f, xs) == [select(f, xs), select(not(f), xs)]
+ * :: (a ix -> boolean) [a] -> [[a] [a]]
+ * >> partition('%2', [1, 2, 3, 4]) -> [[1, 3], [2, 4]]
+ */
+Functional.partition = function(fn, sequence, object) {
+    fn = Functional.toFunction(fn);
+    var pass = [], fail = [];
+    Functional._entries(sequence).forEach(function(entry) {
+        (fn.apply(object, [entry[1], entry[0]]) ? pass : fail).push(entry[1]);
+    });
+    return [pass, fail];
+}
+
+/**
+ * Returns an array of the elements of `sequence`, sorted by the values
+ * of `fn` for them.  The sort is stable: elements with the same value
+ * keep their order.
+ * >> sortBy('.length', ['ccc', 'a', 'bb']) -> ["a", "bb", "ccc"]
+ *
+ * In place of `fn`, `sortBy` takes an array of keys, which sort in turn
+ * the elements that the keys before them don't.  A key is a function,
+ * or `{by: fn, desc: true}` to sort by `fn` in descending order.
+ * >> var people = [{name: 'b', age: 30}, {name: 'a', age: 30}, {name: 'c', age: 20}]
+ * >> sortBy({by: '.age', desc: true}, people).map(pluck('name')) -> ["b", "a", "c"]
+ * >> sortBy(['.age', '.name'], people).map(pluck('name')) -> ["c", "a", "b"]
+ *
+ * Numbers sort before strings, and strings before other values.
+ * Undefined, null and NaN values sort last, or first in descending
+ * order:
+ * >> sortBy('x', [3, undefined, 1, 'b', NaN, 0, 'a']) -> [0, 1, 3, "a", "b", NaN, undefined]
+ */
+Functional.sortBy = function(fn, sequence, object) {
+    var keys = (Array.isArray(fn) ? fn : [fn]).map(function(key) {
+        return key && typeof key == 'object' && 'by' in key
+            ? {fn:Functional.toFunction(key.by), order:key.desc ? -1 : 1}
+            : {fn:Functional.toFunction(key), order:1};
+    });
+    var rows = Functional._entries(sequence).map(function(entry, index) {
+        return {value:entry[1], index:index, keys:keys.map(function(key) {
+            return key.fn.apply(object, [entry[1], entry[0]]);
+        })};
+    });
+    rows.sort(function(a, b) {
+        for (var i = 0; i < keys.length; i++) {
+            var order = Functional._compare(a.keys[i], b.keys[i]);
+            if (order)
+                return keys[i].order * order;
+        }
+        return a.index - b.index;
+    });
+    return rows.map(function(row) { return row.value; });
+}
+
+/**
+ * Returns an array of the elements of `sequence` with the first of those
+ * for which `fn` returns each value.
+ * :: (a ix -> b) [a] -> [a]
+ * >> uniqBy('Math.floor(x)', [1.5, 2.5, 1.2, 3]) -> [1.5, 2.5, 3]
+ */
+Functional.uniqBy = function(fn, sequence, object) {
+    fn = Functional.toFunction(fn);
+    var seen = new Set();
+    return Functional._entries(sequence).filter(function(entry) {
+        var key = fn.apply(object, [entry[1], entry[0]]);
+        return !seen.has(key) && !!seen.add(key);
+    }).map(function(entry) { return entry[1]; });
+}
+
+/**
+ * Returns the first element of `sequence` for which `fn` returns the
+ * least value, or undefined if `sequence` is empty.  Elements for which
+ * `fn` returns undefined, null or NaN are skipped, here and in `maxBy`.
+ * :: (a ix -> b) [a] -> a
+ * >> minBy('.length', ['bb', 'a', 'c']) -> "a"
+ * >> minBy('.length', []) -> undefined
+ * >> minBy('.n', [{n: 2}, {}, {n: 1}]) -> {n: 1}
+ */
+Functional.minBy = function(fn, sequence, object) {
+    return Functional._extremeBy(fn, sequence, object, -1);
+}
+
+/**
+ * Returns the first element of `sequence` for which `fn` returns the
+ * greatest value, or undefined if `sequence` is empty.
+ * :: (a ix -> b) [a] -> a
+ * >> maxBy('.length', ['a', 'bb', 'cc']) -> "bb"
+ */
+Functional.maxBy = function(fn, sequence, object) {
+    return Functional._extremeBy(fn, sequence, object, 1);
+}
+
+/**
+ * Returns the sum of the elements of `sequence`, or of the values of
+ * `fn` for them.
+ * >> sum([1, 2, 3]) -> 6
+ * >> sum('.n', [{n: 1}, {n: 2}]) -> 3
+ * >> sum([]) -> 0
+ */
+Functional.sum = function(fn, sequence, object) {
+    return Functional._aggregateValues(arguments).reduce(function(total, value) {
+        return total + value;
+    }, 0);
+}
+
+/**
+ * Returns the mean of the elements of `sequence`, or of the values of
+ * `fn` for them.  The mean of an empty sequence is `NaN`.
+ * >> mean([1, 2, 3, 6]) -> 3
+ * >> mean('x*2', [1, 2]) -> 3
+ */
+Functional.mean = function(fn, sequence, object) {
+    var values = Functional._aggregateValues(arguments);
+    return Functional.sum(values) / values.length;
+}
+
+/**
+ * Returns an array of arrays of `n` consecutive elements of `sequence`.
+ * The last array is shorter if the elements run out.  If `n` isn't a
+ * positive integer, this throws a `RangeError`.
+ * :: number [a] -> [[a]]
+ * >> chunk(2, [1, 2, 3, 4, 5]) -> [[1, 2], [3, 4], [5]]
+ * >> chunk(0, [1]) -> error
+ * >> chunk(1.5, [1, 2, 3]) -> error
+ */
+Functional.chunk = function(n, sequence) {
+    if (!(Number.isInteger(n) && n > 0))
+        throw new RangeError('chunk: the size should be a positive integer, not ' + n);
+    var values = Array.from(Functional._toArray(sequence)),
+        chunks = [];
+    for (var i = 0; i < values.length; i += n)
+        chunks.push(values.slice(i, i + n));
+    return chunks;
+}
+
+/**
+ * Returns an array of the elements of `sequence`, with the elements of
+ * those that are arrays in place of them, to a `depth` of arrays within
+ * arrays.  `depth` is 1 by default, and can be `Infinity`.
+ * >> flatten([1, [2, [3]], 4]) -> [1, 2, [3], 4]
+ * >> flatten([1, [2, [3]], 4], Infinity) -> [1, 2, 3, 4]
+ */
+Functional.flatten = function(sequence, depth) {
+    depth = depth === undefined ? 1 : depth;
+    var result = [];
+    Array.from(Functional._toArray(sequence)).forEach(function(value) {
+        if (Array.isArray(value) && depth >= 1)
+            result.push.apply(result, Functional.flatten(value, depth - 1));
+        else
+            result.push(value);
+    });
+    return result;
+}
+
+/**
+ * Same as `map`, except that the values of `fn` that are arrays are
+ * flattened into the result.
+ * == flatMap(f, xs) == flatten(map(f, xs))
+ * >> flatMap('[x, x*10]', [1, 2]) -> [1, 10, 2, 20]
+ */
+Functional.flatMap = function(fn, sequence, object) {
+    fn = Functional.toFunction(fn);
+    return Functional.flatten(Functional._entries(sequence).map(function(entry) {
+        return fn.apply(object, [entry[1], entry[0]]);
+    }));
+}
+
+/**
+ * The inverse of `zip`: returns an array of the first elements of the
+ * arrays in `sequence`, an array of their second elements, and so on.
+ * == unzip(zip(a, b)) == [a, b]
+ * >> unzip([[1, 'a'], [2, 'b']]) -> [[1, 2], ["a", "b"]]
+ * >> unzip([]) -> []
+ */
+Functional.unzip = function(sequence) {
+    var rows = Array.from(Functional._toArray(sequence), function(row) {
+        return Functional._toArray(row);
+    });
+    var n = rows.length ? Math.min.apply(null, rows.map(function(row) { return row.length; })) : 0,
+        columns = new Array(n);
+    for (var i = 0; i < n; i++)
+        columns[i] = rows.map(function(row) { return row[i]; });
+    return columns;
+}
+
+/**
+ * Returns an array of the values of `fn` for the first elements of the
+ * sequences, their second elements, and so on, as far as the shortest
+ * sequence.
+ * == zipWith(f, a, b) == [f(a[0], b[0]), f(a[1], b[1]), ...]
+ * :: (a b... -> c) [a] [b]... -> [c]
+ * >> zipWith('+', [1, 2, 3], [10, 20]) -> [11, 22]
+ */
+Functional.zipWith = function(fn/*, sequences...*/) {
+    fn = Functional.toFunction(fn);
+    var sequences = Functional._slice(arguments, 1).map(function(sequence) {
+        return Functional._toArray(sequence);
+    });
+    var n = sequences.length ? Math.min.apply(null, sequences.map(function(sequence) {
+        return sequence.length;
+    })) : 0;
+    var results = new Array(n);
+    for (var i = 0; i < n; i++)
+        results[i] = fn.apply(null, sequences.map(function(sequence) { return sequence[i]; }));
+    return results;
+}
+
+// Returns an object built by calling `add(result, key, value, seen)`
+// for each value of `sequence`, where `key` is $fn(value, index)$, and
+// `seen` is true if `result` already has that key.  As the keys come
+// from data, `add` sets them with `_setOwn`.
+Functional._aggregate = function(fn, sequence, object, add) {
+    fn = Functional.toFunction(fn);
+    var result = {}, has = Object.prototype.hasOwnProperty;
+    Functional._entries(sequence).forEach(function(entry) {
+        var key = fn.apply(object, [entry[1], entry[0]]);
+        add(result, key, entry[1], has.call(result, key));
+    });
+    return result;
+}
+
+// Returns the element of `sequence` with the least (if `order` is -1) or
+// greatest (if it's 1) value of `fn`, skipping the elements whose value
+// is undefined, null or NaN.
+Functional._extremeBy = function(fn, sequence, object, order) {
+    fn = Functional.toFunction(fn);
+    var best, bestKey, found = false;
+    Functional._entries(sequence).forEach(function(entry) {
+        var key = fn.apply(object, [entry[1], entry[0]]);
+        if (Functional._sortRank(key) > 2)
+            return;
+        if (!found || order * Functional._compare(key, bestKey) > 0) {
+            best = entry[1];
+            bestKey = key;
+            found = true;
+        }
+    });
+    return best;
+}
+
+// Returns the values of `sum` or `mean`'s sequence: its elements, or
+// the values of its function for them.
+Functional._aggregateValues = function(args) {
+    if (args.length < 2)
+        return Functional._entries(args[0]).map(function(entry) { return entry[1]; });
+    var fn = Functional.toFunction(args[0]), object = args[2];
+    return Functional._entries(args[1]).map(function(entry) {
+        return fn.apply(object, [entry[1], entry[0]]);
+    });
+}
+
+// Returns -1, 0 or 1 as `a` sorts before, with, or after `b`.  Values
+// of different ranks sort by rank, so that the order is consistent even
+// for values that `<` can't compare; see `_sortRank`.
+Functional._compare = function(a, b) {
+    var rank = Functional._sortRank(a), other = Functional._sortRank(b);
+    if (rank != other)
+        return rank < other ? -1 : 1;
+    if (rank > 1)
+        return 0;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Returns 0 for a number, boolean or date, 1 for a string, 2 for another
+// value, 3 for null or NaN (or an invalid date), and 4 for undefined.
+Functional._sortRank = function(value) {
+    if (value === undefined)
+        return 4;
+    if (value === null || value !== value)
+        return 3;
+    switch (typeof value) {
+    case 'number':
+    case 'boolean':
+    case 'bigint':
+        return 0;
+    case 'string':
+        return 1;
+    }
+    return value instanceof Date ? (isNaN(value) ? 3 : 0) : 2;
+}
+
+/// ^^ Recursion
+
+/**
+ * Returns a function that calls `fn`, and, for as long as `fn` returns
+ * `recur(args...)`, calls it again with `args`, in a loop instead of on
+ * the stack.  A recursive function that makes its recursive calls this
+ * way, in tail position, runs in constant stack space.
+ * >> var sum = Functional.trampoline('n total -> n ? recur(n - 1, total + n) : total')
+ * >> sum(100000, 0) -> 5000050000
+ *
+ * `g.recur(args...)`, for a function `g` that `trampoline` returned,
+ * calls `g`'s function instead, so functions can call each other this
+ * way too:
+ * >> var isEven = Functional.trampoline('n -> n ? isOdd.recur(n - 1) : true')
+ * >> var isOdd = Functional.trampoline('n -> n ? isEven.recur(n - 1) : false')
+ * >> isEven(100001) -> false
+ * >> var countdown = Functional.trampoline('n -> n > 0 ? Functional.recur(n - 1) : "countdown done"')
+ * >> Functional.trampoline('n -> n > 0 ? countdown.recur(n) : "start done"')(3) -> "countdown done"
+ */
+Functional.trampoline = function(fn) {
+    fn = Functional.toFunction(fn);
+    var trampolined = function() {
+        // A plain `recur` calls the function that the last `g.recur`
+        // switched to, or `fn` if there hasn't been one.
+        var current = fn, result = fn.apply(this, arguments);
+        while (result instanceof Functional.Recur) {
+            current = result.fn || current;
+            result = current.apply(this, result.args);
+        }
+        return result;
+    };
+    trampolined.recur = function(/*args...*/) {
+        return new Functional.Recur(fn, Functional._slice(arguments, 0));
+    };
+    return trampolined;
+}
+
+/**
+ * Returns a value that tells the function that `trampoline` is running
+ * to call itself again, with `args`.
+ */
+Functional.recur = function(/*args...*/) {
+    return new Functional.Recur(null, Functional._slice(arguments, 0));
+}
+
+/// The type of the values that `recur` returns.
+Functional.Recur = function(fn, args) {
+    this.fn = fn;
+    this.args = args;
+}
+
+/**
+ * Returns the fixed point of `fn`: the function $f$ such that
+ * $fn(f)$ is $f$.  This defines a recursive function without naming
+ * it, since `fn` receives the function to recurse with.
+ * == fix(fn)(args...) == fn(fix(fn))(args...)
+ * >> Functional.fix('self -> n -> n < 2 ? 1 : n * self(n - 1)')(5) -> 120
+ * >> map(Functional.fix(function(fib) { return function(n) { return n < 2 ? n : fib(n-1) + fib(n-2) } }), [5, 10]) -> [5, 55]
+ */
+Functional.fix = function(fn) {
+    fn = Functional.toFunction(fn);
+    var fixed = fn(function() {
+        return fixed.apply(this, arguments);
+    });
+    return fixed;
+}
+
+/// ^ Lazy sequences
+
+/**
+ * A `Seq` is a lazy sequence of the elements of `sequence`: an array, or
+ * an array-like object, or an iterable such as a `Set`, a `Map`, or a
+ * generator.  Its `map`, `select`, `zip`, `take`, `drop` and `takeWhile`
+ * methods return sequences that compute each element only when it's
+ * needed, so a sequence can be infinite, as long as only part of it is
+ * used.  Their functions can be string lambdas.
+ * >> new Functional.Seq([1, 2, 3]).map('x*x').toArray() -> [1, 4, 9]
+ * >> Functional.Seq.range(1).select('%2').map('x*x').take(3).toArray() -> [1, 9, 25]
+ * >> Functional.Seq.iterate('2*', 1).takeWhile('<100').toArray() -> [1, 2, 4, 8, 16, 32, 64]
+ * >> Functional.Seq.range(0).zip('abc').drop(1).toArray() -> [[1, "b"], [2, "c"]]
+ *
+ * `reduce`, `some`, `every` and `toArray` compute the elements.  `some`
+ * and `every` stop at the first one that decides the answer:
+ * >> Functional.Seq.range(1).some('>1000') -> true
+ * >> Functional.Seq.iterate('x -> x+1', 0).every('<5') -> false
+ *
+ * A `Seq` is iterable, so the eager functions, `Array.from` and `for...of`
+ * accept it too:
+ * >> map('x+1', Functional.Seq.range(0, 3)) -> [1, 2, 3]
+ *
+ * A sequence can be iterated again, unless it's made from a generator,
+ * which can only be iterated once.
+ */
+Functional.Seq = function(sequence) {
+    this.sequence = sequence;
+}
+
+/**
+ * Returns the sequence $start, start+step, start+2*step...$ of the numbers
+ * less than `stop`, or greater than `stop` if `step` is negative.
+ * `start` is 0 and `step` is 1 by default, and without a `stop`, the
+ * sequence is infinite.
+ * >> Functional.Seq.range(2, 5).toArray() -> [2, 3, 4]
+ * >> Functional.Seq.range(5, 0, -2).toArray() -> [5, 3, 1]
+ */
+Functional.Seq.range = function(start, stop, step) {
+    start = start || 0;
+    stop = stop == null ? Infinity : stop;
+    step = step || 1;
+    return Functional.Seq._make(function() {
+        var value = start;
+        return Functional._iterator(function() {
+            if (step > 0 ? value >= stop : value <= stop)
+                return {done:true, value:undefined};
+            var result = {done:false, value:value};
+            value += step;
+            return result;
+        });
+    });
+}
+
+/**
+ * Returns the infinite sequence $value, fn(value), fn(fn(value))...$.
+ * >> Functional.Seq.iterate('x*3', 1).take(4).toArray() -> [1, 3, 9, 27]
+ */
+Functional.Seq.iterate = function(fn, value) {
+    fn = Functional.toFunction(fn);
+    return Functional.Seq._make(function() {
+        var next = value, started = false;
+        return Functional._iterator(function() {
+            next = started ? fn.call(null, next) : next;
+            started = true;
+            return {done:false, value:next};
+        });
+    });
+}
+
+// Returns a `Seq` whose iterator is `makeIterator()`.
+Functional.Seq._make = function(makeIterator) {
+    var iterable = {};
+    iterable[Symbol.iterator] = makeIterator;
+    return new Functional.Seq(iterable);
+}
+
+Functional.Seq.prototype = {
+    /// Returns the sequence of `fn(element, index)` for each element.
+    map: function(fn) {
+        var self = this;
+        fn = Functional.toFunction(fn);
+        return Functional.Seq._make(function() {
+            var iterator = Functional._iterate(self.sequence), index = 0;
+            return Functional._iterator(function() {
+                var item = iterator.next();
+                return item.done ? item : {done:false, value:fn.call(null, item.value, index++)};
+            });
+        });
+    },
+
+    /// Returns the sequence of the elements for which `fn(element, index)`
+    /// is true.
+    /// >> new Functional.Seq('abcd').select('x i -> i % 2').toArray() -> ["b", "d"]
+    select: function(fn) {
+        var self = this;
+        fn = Functional.toFunction(fn);
+        return Functional.Seq._make(function() {
+            var iterator = Functional._iterate(self.sequence), index = 0;
+            return Functional._iterator(function() {
+                for (var item; !(item = iterator.next()).done; )
+                    if (fn.call(null, item.value, index++))
+                        return item;
+                return item;
+            });
+        });
+    },
+
+    /// Returns the sequence of arrays of the corresponding elements of
+    /// this sequence and the `sequences`, as long as the shortest of them.
+    zip: function(/*sequences...*/) {
+        var sequences = [this.sequence].concat(Functional._slice(arguments, 0));
+        return Functional.Seq._make(function() {
+            var iterators = sequences.map(Functional._iterate);
+            return Functional._iterator(function() {
+                var values = [];
+                for (var i = 0; i < iterators.length; i++) {
+                    var item = iterators[i].next();
+                    if (item.done)
+                        return item;
+                    values.push(item.value);
+                }
+                return {done:false, value:values};
+            });
+        });
+    },
+
+    /// Returns the sequence of the first `n` elements.
+    take: function(n) {
+        var self = this;
+        return Functional.Seq._make(function() {
+            var iterator = Functional._iterate(self.sequence), count = 0;
+            return Functional._iterator(function() {
+                return count++ < n ? iterator.next() : {done:true, value:undefined};
+            });
+        });
+    },
+
+    /// Returns the sequence of the elements after the first `n`.
+    drop: function(n) {
+        var self = this;
+        return Functional.Seq._make(function() {
+            var iterator = Functional._iterate(self.sequence);
+            for (var i = 0; i < n && !iterator.next().done; i++)
+                ;
+            return iterator;
+        });
+    },
+
+    /// Returns the sequence of the elements up to the first one for which
+    /// `fn(element)` is false.
+    takeWhile: function(fn) {
+        var self = this;
+        fn = Functional.toFunction(fn);
+        return Functional.Seq._make(function() {
+            var iterator = Functional._iterate(self.sequence), done = false;
+            return Functional._iterator(function() {
+                var item = done ? {done:true, value:undefined} : iterator.next();
+                if (item.done || fn.call(null, item.value))
+                    return item;
+                done = true;
+                return {done:true, value:undefined};
+            });
+        });
+    },
+
+    reduce: function(fn, init) {
+        return Functional.reduce(fn, init, this);
+    },
+
+    some: function(fn) {
+        return Functional.some(fn, this);
+    },
+
+    every: function(fn) {
+        return Functional.every(fn, this);
+    },
+
+    toArray: function() {
+        return Array.from(this);
+    }
+}
+
+Functional.Seq.prototype.filter = Functional.Seq.prototype.select;
+
+Functional.Seq.prototype[Symbol.iterator] = function() {
+    return Functional._iterate(this.sequence);
+}
+
+// Returns true if `value` is a promise, or another object with a `then`
+// method.
+Functional._isThenable = function(value) {
+    return !!value && (typeof value == 'object' || typeof value == 'function')
+        && typeof value.then == 'function';
+}
+
+// Returns an iterator whose `next` method is `next`.
+Functional._iterator = function(next) {
+    var iterator = {next:next};
+    iterator[Symbol.iterator] = function() { return this; };
+    return iterator;
+}
+
+// Returns an iterator over `sequence`: by index if it's an array-like
+// object, as the eager functions have always read it, and by its own
+// iterator otherwise.
+Functional._iterate = function(sequence) {
+    if (typeof sequence.length != 'number')
+        return sequence[Symbol.iterator]();
+    var index = 0;
+    return Functional._iterator(function() {
+        return index < sequence.length
+            ? {done:false, value:sequence[index++]}
+            : {done:true, value:undefined};
+    });
+}
+
+// Returns `sequence` if it's an array-like object, and an array of its
+// elements if it's another kind of iterable.
+Functional._toArray = function(sequence) {
+    return typeof sequence.length == 'number' ? sequence : Array.from(sequence);
+}
+
+// Returns the kind of collection that `collection` is: 'map', 'set' or
+// 'object' for the kinds that `map` and `select` return in kind, and
+// 'sequence' for an array-like object or another iterable.
+Functional._collectionKind = function(collection) {
+    if (collection instanceof Map)
+        return 'map';
+    if (collection instanceof Set)
+        return 'set';
+    if (Functional._isPlainObject(collection) && typeof collection.length != 'number')
+        return 'object';
+    return 'sequence';
+}
+
+// True if `collection` has keys of its own: a `Map` or a plain object.
+Functional._isKeyed = function(collection) {
+    var kind = Functional._collectionKind(collection);
+    return kind == 'map' || kind == 'object';
+}
+
+// Returns an array of the `[key, value]` pairs of `collection`.  The
+// keys of a sequence or a `Set` are the indices of its elements.
+Functional._entries = function(collection) {
+    switch (Functional._collectionKind(collection)) {
+    case 'map':
+        return Array.from(collection);
+    case 'object':
+        return Object.keys(collection).map(function(key) {
+            return [key, collection[key]];
+        });
+    }
+    return Array.from(Functional._toArray(collection), function(value, index) {
+        return [index, value];
+    });
+}
+
+// Returns a collection of `kind` with the `[key, value]` pairs in
+// `entries`: a `Map`, a `Set` of their values, or else an object.
+Functional._fromEntries = function(kind, entries) {
+    switch (kind) {
+    case 'map':
+        return new Map(entries);
+    case 'set':
+        return new Set(entries.map(function(entry) { return entry[1]; }));
+    }
+    var object = {};
+    entries.forEach(function(entry) {
+        Functional._setOwn(object, entry[0], entry[1]);
+    });
+    return object;
+}
+
+/// ^ Chains
+
+/**
+ * `chain(value)` returns a `Chain`, which has a method for each of the
+ * collection functions, with `value` in place of the collection, so that
+ * a pipeline reads in the order that it runs.  A method whose function
+ * returns a collection returns another `Chain`; `value` returns the
+ * collection.  `reduce` and the other methods whose functions return
+ * another kind of value return it.
+ * >> var items = [{price: 3, inStock: true}, {price: 5, inStock: false}, {price: 4, inStock: true}]
+ * >> Functional.chain(items).select('.inStock').map('.price').reduce('+', 0) -> 7
+ * >> Functional.chain(items).sortBy('.price').map('.price').value() -> [3, 4, 5]
+ * >> Functional.chain({a: 1, b: 2}).map('x*10').omit(['a']).value() -> {b: 20}
+ *
+ * A chain is lazy: it calls its functions when `value`, `toArray` or a
+ * method that returns another kind of value is called, and each time
+ * that one is.  It applies a run of `map` and `select` to a sequence in
+ * a single pass, without the arrays in between.
+ * >> var calls = []
+ * >> var chained = Functional.chain([1, 2, 3]).map(function(x) { calls.push(x); return x * 2 }).select('>2')
+ * >> calls -> []
+ * >> chained.value() -> [4, 6]
+ * >> calls -> [1, 2, 3]
+ *
+ * `some`, `every`, `reduce` and the other methods that return another
+ * kind of value read such a run's elements from an iterable, such as a
+ * `Seq`, one at a time, so that they can stop early, even on an infinite
+ * sequence:
+ * >> Functional.chain(Functional.Seq.iterate('x+1', 1)).map('x*2').some('>10') -> true
+ */
+Functional.chain = function(value) {
+    return new Functional.Chain(value, []);
+}
+
+/// A `Chain` of `steps`, applied in turn to `source`.  Use `chain` to
+/// make one.
+Functional.Chain = function(source, steps) {
+    this.source = source;
+    this.steps = steps;
+}
+
+Functional.Chain.prototype = {
+    /// Returns the value of applying the chain's functions in turn to its
+    /// source.
+    value: function() {
+        return Functional.Chain._evaluate(this, false);
+    },
+
+    /// Returns an array of the elements of the value, or of the
+    /// `[key, value]` pairs of a `Map` or a plain object.
+    /// >> Functional.chain('abc').toArray() -> ["a", "b", "c"]
+    /// >> Functional.chain({a: 1}).toArray() -> [["a", 1]]
+    toArray: function() {
+        var value = this.value();
+        return Functional._isKeyed(value)
+            ? Functional._entries(value)
+            : Array.from(Functional._toArray(value));
+    },
+
+    /// Returns a chain that calls `fn` with the value at this point, and
+    /// goes on with the value.
+    /// >> var seen = []
+    /// >> Functional.chain([1, 2]).tap(function(xs) { seen.push(xs.length) }).map('x+1').value() -> [2, 3]
+    /// >> seen -> [2]
+    tap: function(fn) {
+        fn = Functional.toFunction(fn);
+        return Functional.Chain._step(this, {run:function(value) {
+            fn(value);
+            return value;
+        }});
+    },
+
+    /// Returns a chain that applies `fn` to each element and its index.
+    map: function(fn, object) {
+        return Functional.Chain._fusible(this, 'map', fn, object);
+    },
+
+    /// Returns a chain of the elements for which `fn(element, index)` is
+    /// true.
+    select: function(fn, object) {
+        return Functional.Chain._fusible(this, 'select', fn, object);
+    },
+
+    /// Returns the sum of the elements, or of the values of `fn` for them.
+    /// >> Functional.chain([1, 2, 3]).sum() -> 6
+    sum: function(fn, object) {
+        return arguments.length
+            ? Functional.sum(fn, this.value(), object)
+            : Functional.sum(this.value());
+    },
+
+    /// Returns the mean of the elements, or of the values of `fn` for them.
+    mean: function(fn, object) {
+        return arguments.length
+            ? Functional.mean(fn, this.value(), object)
+            : Functional.mean(this.value());
+    }
+}
+
+Functional.Chain.prototype[Symbol.iterator] = function() {
+    return this.toArray()[Symbol.iterator]();
+}
+
+// Returns a chain of `chain`'s steps and then `step`.  A step's `run`
+// applies it to a value; a `map` or `select` step also has the `kind`,
+// `fn` and `object` that fuse it with the steps next to it.
+Functional.Chain._step = function(chain, step) {
+    return new Functional.Chain(chain.source, chain.steps.concat([step]));
+}
+
+// Returns a chain of `chain`'s steps and then a `map` or `select` step.
+Functional.Chain._fusible = function(chain, kind, fn, object) {
+    fn = Functional.toFunction(fn);
+    return Functional.Chain._step(chain, {kind:kind, fn:fn, object:object, run:function(value) {
+        return Functional[kind](fn, value, object);
+    }});
+}
+
+// Returns the value of `chain`.  If `lazy` is true and the chain ends in
+// a run of `map` and `select` steps over an iterable that isn't
+// array-like, this is a `Seq` that applies them as its elements are read.
+Functional.Chain._evaluate = function(chain, lazy) {
+    var value = chain.source, steps = chain.steps;
+    for (var i = 0; i < steps.length; ) {
+        if (!steps[i].fn || Functional._collectionKind(value) != 'sequence') {
+            value = steps[i++].run(value);
+            continue;
+        }
+        for (var j = i; j < steps.length && steps[j].fn; j++)
+            ;
+        value = Functional.Chain._fuse(steps.slice(i, j), value,
+                                       lazy && j == steps.length && typeof value.length != 'number');
+        i = j;
+    }
     return value;
 }
 
+// Applies the `map` and `select` `steps` to `sequence` in one pass, and
+// returns an array of the results, or if `lazy` is true, a `Seq` of them.
+// Each step's function gets the element's index among those that reach
+// that step, as though the steps ran one after another.
+Functional.Chain._fuse = function(steps, sequence, lazy) {
+    var fused = Functional.Seq._make(function() {
+        var iterator = Functional._iterate(sequence),
+            counts = steps.map(function() { return 0; });
+        return Functional._iterator(function() {
+            elements: for (var item; !(item = iterator.next()).done; ) {
+                var value = item.value;
+                for (var j = 0; j < steps.length; j++) {
+                    var step = steps[j], result = step.fn.apply(step.object, [value, counts[j]++]);
+                    if (step.kind == 'map')
+                        value = result;
+                    else if (!result)
+                        continue elements;
+                }
+                return {done:false, value:value};
+            }
+            return item;
+        });
+    });
+    return lazy ? fused : Array.from(fused);
+}
+
+// Defines a `Chain` method for each function in `names`, whose
+// collection is its argument at `position`.  If `chains` is true, the
+// method returns a chain of a step that calls the function; otherwise it
+// calls it.
+Functional.Chain._define = function(names, position, chains) {
+    names.forEach(function(name) {
+        Functional.Chain.prototype[name] = function() {
+            var args = Functional._slice(arguments, 0);
+            function run(value) {
+                return Functional[name].apply(null, args.slice(0, position).concat([value], args.slice(position)));
+            }
+            return chains ? Functional.Chain._step(this, {run:run}) : run(Functional.Chain._evaluate(this, true));
+        }
+    });
+}
+
+Functional.Chain.prototype.filter = Functional.Chain.prototype.select;
+
+Functional.Chain._define(['sortBy', 'uniqBy', 'flatMap', 'groupBy', 'countBy', 'indexBy', 'partition',
+                          'chunk', 'pick', 'omit', 'mapKeys', 'mapEntries', 'zipWith'], 1, true);
+Functional.Chain._define(['flatten', 'unzip', 'zip', 'toPairs', 'fromPairs'], 0, true);
+Functional.Chain._define(['some', 'every', 'minBy', 'maxBy'], 1, false);
+Functional.Chain._define(['reduce', 'foldl', 'foldr'], 2, false);
+Functional.Chain._define(['transduce'], 3, false);
+
+/// ^ Transducers
+
+/**
+ * A transformer, such as `mapping('x*2')`, changes a reducer: a function
+ * such as `'x y -> x + y'`, that `reduce` applies to each element.
+ * `transduce` reduces a sequence with a transformed reducer, without the
+ * intermediate arrays of `map` and `select`.  Transformers compose with
+ * `compose`, and the transformer on the left sees each element first:
+ * >> var xform = compose(Functional.filtering('%2'), Functional.mapping('x*x'))
+ * >> Functional.transduce(xform, '+', 0, [1, 2, 3, 4, 5]) -> 35
+ * >> Functional.transduce(xform, 'xs x -> xs.concat([x])', [], [1, 2, 3]) -> [1, 9]
+ *
+ * `taking` stops the reduction, so it can transduce an infinite
+ * sequence:
+ * >> Functional.transduce(compose(Functional.mapping('x*2'), Functional.taking(3)), '+', 0, Functional.Seq.range(1)) -> 12
+ *
+ * A transformed reducer is called with the result and an element for
+ * each element, and then once with only the result, when the sequence is
+ * done; `partitioning` uses this to add the last partition.  A
+ * transformer makes a new reducer, with its own state, for each
+ * `transduce`.
+ */
+
+/**
+ * Reduces `sequence` with `reducer`, as transformed by `xform`,
+ * starting with `init`.  `reducer` is called with the result and an
+ * element, as by `reduce`.
+ * == transduce(mapping(f), g, init, xs) == reduce(g, init, map(f, xs))
+ * >> Functional.transduce(Functional.mapping('1+'), '+', 0, [1, 2, 3]) -> 9
+ */
+Functional.transduce = function(xform, reducer, init, sequence) {
+    reducer = Functional.toFunction(reducer);
+    var fn = Functional.toFunction(xform)(function(result, x) {
+        return arguments.length < 2 ? result : reducer(result, x);
+    });
+    return fn(Functional.reduce(fn, init, sequence));
+}
+
+/**
+ * Returns a transformer that applies `fn` to each element.
+ * >> Functional.transduce(Functional.mapping('x*x'), '+', 0, [1, 2, 3]) -> 14
+ */
+Functional.mapping = function(fn) {
+    fn = Functional.toFunction(fn);
+    return function(reducer) {
+        return function(result, x) {
+            return arguments.length < 2 ? reducer(result) : reducer(result, fn(x));
+        }
+    }
+}
+
+/**
+ * Returns a transformer that keeps the elements $x$ for which $fn(x)$
+ * is true.
+ * >> Functional.transduce(Functional.filtering('>1'), '+', 0, [1, 2, 3]) -> 5
+ */
+Functional.filtering = function(fn) {
+    fn = Functional.toFunction(fn);
+    return function(reducer) {
+        return function(result, x) {
+            return arguments.length < 2 ? reducer(result)
+                : fn(x) ? reducer(result, x) : result;
+        }
+    }
+}
+
+/**
+ * Returns a transformer that keeps the first `n` elements, and then
+ * stops the reduction.
+ * >> Functional.transduce(Functional.taking(2), '+', 0, [1, 2, 3]) -> 3
+ */
+Functional.taking = function(n) {
+    return function(reducer) {
+        var left = n;
+        return function(result, x) {
+            if (arguments.length < 2)
+                return reducer(result);
+            if (left-- > 0)
+                result = reducer(result, x);
+            return left > 0 ? result : Functional._ensureReduced(result);
+        }
+    }
+}
+
+/**
+ * Returns a transformer that skips the first `n` elements.
+ * >> Functional.transduce(Functional.dropping(2), '+', 0, [1, 2, 3]) -> 3
+ */
+Functional.dropping = function(n) {
+    return function(reducer) {
+        var left = n;
+        return function(result, x) {
+            return arguments.length < 2 ? reducer(result)
+                : left-- > 0 ? result : reducer(result, x);
+        }
+    }
+}
+
+/**
+ * Returns a transformer that groups the elements into arrays.  If `n` is
+ * a number, each array has `n` elements, except perhaps the last.
+ * Otherwise `n` is a function, and an array ends when its value changes.
+ * >> Functional.transduce(Functional.partitioning(2), 'xs x -> xs.concat([x])', [], [1, 2, 3]) -> [[1, 2], [3]]
+ * >> Functional.transduce(Functional.partitioning('%2'), 'xs x -> xs.concat([x])', [], [1, 3, 2, 4, 5]) -> [[1, 3], [2, 4], [5]]
+ */
+Functional.partitioning = function(n) {
+    var size = typeof n == 'number' ? n : Infinity,
+        fn = typeof n == 'number' ? null : Functional.toFunction(n);
+    return function(reducer) {
+        var partition = [], key;
+        return function(result, x) {
+            if (arguments.length < 2) {
+                if (partition.length)
+                    result = Functional._unreduced(reducer(result, partition));
+                partition = [];
+                return reducer(result);
+            }
+            if (fn) {
+                var value = fn(x);
+                if (partition.length && value !== key) {
+                    result = reducer(result, partition);
+                    partition = [];
+                }
+                key = value;
+            }
+            partition.push(x);
+            if (partition.length >= size) {
+                result = reducer(result, partition);
+                partition = [];
+            }
+            if (result instanceof Functional.Reduced)
+                partition = [];
+            return result;
+        }
+    }
+}
+
+/**
+ * Returns a transformer that drops each element that is the same as the
+ * one before it.  If `fn` is supplied, it drops each element $x$ whose
+ * $fn(x)$ is the same as the one before it.
+ * >> Functional.transduce(Functional.deduping(), 'xs x -> xs.concat([x])', [], [1, 1, 2, 1, 1]) -> [1, 2, 1]
+ * >> Functional.transduce(Functional.deduping('x.length'), 'xs x -> xs.concat([x])', [], ['a', 'b', 'cd']) -> ["a", "cd"]
+ */
+Functional.deduping = function(fn) {
+    fn = fn ? Functional.toFunction(fn) : Functional.I;
+    return function(reducer) {
+        var first = true, last;
+        return function(result, x) {
+            if (arguments.length < 2)
+                return reducer(result);
+            var value = fn(x);
+            if (!first && value === last)
+                return result;
+            first = false;
+            last = value;
+            return reducer(result, x);
+        }
+    }
+}
+
+/**
+ * Returns a wrapper for `value` that stops `reduce` and `transduce`,
+ * when a reducer returns it.
+ * >> Functional.reduced(1).value -> 1
+ */
+Functional.reduced = function(value) {
+    return new Functional.Reduced(value);
+}
+
+/// The type of the values that `reduced` returns.
+Functional.Reduced = function(value) {
+    this.value = value;
+}
+
+Functional._ensureReduced = function(value) {
+    return value instanceof Functional.Reduced ? value : Functional.reduced(value);
+}
+
+Functional._unreduced = function(value) {
+    return value instanceof Functional.Reduced ? value.value : value;
+}
+
+/// ^ Maybe and Either
+
+/**
+ * A `Maybe` is either `Just` a value, or `Nothing`.  Its `map` and
+ * `chain` apply a function to the value if there is one, so that a
+ * missing value passes through a pipeline instead of being checked at
+ * each step.  `Maybe.of(value)` is `Nothing` if `value` is null or
+ * undefined, and `Just(value)` otherwise.
+ * >> var Maybe = Functional.Maybe
+ * >> Maybe.of({a: {b: 1}}).map('x.a').map('x.b').getOrElse(0) -> 1
+ * >> Maybe.of({}).map('x.a').map('x.b').getOrElse(0) -> 0
+ * >> Maybe.of(null).map('x.a').isNothing -> true
+ * >> Maybe.just(2).fold('-> "none"', 'x -> x * 10') -> 20
+ * >> String(Maybe.just(1)) + ' ' + Maybe.nothing -> "Just(1) Nothing"
+ *
+ * `map` makes `Nothing` of a null or undefined result, too.  `chain`'s
+ * function returns a `Maybe` itself (a plain value is wrapped, as by
+ * `map`):
+ * >> var half = function(n) { return n % 2 ? Maybe.nothing : Maybe.just(n / 2) }
+ * >> Maybe.just(8).chain(half).chain(half).value -> 2
+ * >> Maybe.just(6).chain(half).chain(half).isNothing -> true
+ */
+Functional.Maybe = function(isNothing, value) {
+    this.isNothing = isNothing;
+    this.value = value;
+}
+
+/// Returns a `Maybe` that holds `value`, even if it's null.
+Functional.Maybe.just = function(value) {
+    return new Functional.Maybe(false, value);
+}
+
+/// Returns `Nothing` if `value` is null or undefined, and `Just(value)`
+/// otherwise.
+Functional.Maybe.of = function(value) {
+    return value == null ? Functional.Maybe.nothing : Functional.Maybe.just(value);
+}
+
+/**
+ * Returns a function that returns `Maybe.of` the value of `fn`, which
+ * can be a string lambda.
+ * >> Functional.Maybe.lift('xs[0]')([1, 2]).value -> 1
+ * >> Functional.Maybe.lift('xs[0]')([]).isNothing -> true
+ */
+Functional.Maybe.lift = function(fn) {
+    fn = Functional.toFunction(fn);
+    return function() {
+        return Functional.Maybe.of(fn.apply(this, arguments));
+    }
+}
+
+Functional.Maybe.prototype = {
+    /// Returns `Maybe.of` the value of `fn` on this value, or `Nothing`.
+    map: function(fn) {
+        return this.isNothing ? this : Functional.Maybe.of(Functional.toFunction(fn)(this.value));
+    },
+
+    /// Returns the `Maybe` that `fn` returns for this value, or `Nothing`.
+    chain: function(fn) {
+        if (this.isNothing)
+            return this;
+        var result = Functional.toFunction(fn)(this.value);
+        return result instanceof Functional.Maybe ? result : Functional.Maybe.of(result);
+    },
+
+    /// Returns this value, or `otherwise` if this is `Nothing`.
+    getOrElse: function(otherwise) {
+        return this.isNothing ? otherwise : this.value;
+    },
+
+    /// Returns `ifNothing()` if this is `Nothing`, and `ifJust(value)`
+    /// otherwise.
+    fold: function(ifNothing, ifJust) {
+        return this.isNothing
+            ? Functional.toFunction(ifNothing)()
+            : Functional.toFunction(ifJust)(this.value);
+    },
+
+    toString: function() {
+        return this.isNothing ? 'Nothing' : 'Just(' + this.value + ')';
+    }
+}
+
+/// The `Maybe` without a value.
+Functional.Maybe.nothing = new Functional.Maybe(true, undefined);
+
+/**
+ * An `Either` is either a `Right` value, the result of a step that
+ * succeeded, or a `Left` value, such as an error, from one that failed.
+ * `map` and `chain` apply a function to a `Right` value, and pass a
+ * `Left` one through.
+ * >> var Either = Functional.Either
+ * >> var positive = function(n) { return n > 0 ? Either.right(n) : Either.left(n + ' is not positive') }
+ * >> Either.right(4).chain(positive).map('Math.sqrt(x)').getOrElse(0) -> 2
+ * >> Either.right(-4).chain(positive).map('Math.sqrt(x)').fold('e -> "error: " + e', 'x -> x') -> "error: -4 is not positive"
+ * >> String(Either.left('no')) + ' ' + Either.right(1) -> "Left(no) Right(1)"
+ */
+Functional.Either = function(isLeft, value) {
+    this.isLeft = isLeft;
+    this.value = value;
+}
+
+Functional.Either.left = function(value) {
+    return new Functional.Either(true, value);
+}
+
+Functional.Either.right = function(value) {
+    return new Functional.Either(false, value);
+}
+
+/**
+ * Returns a function that returns `Right` the value of `fn`, which can
+ * be a string lambda, or `Left` the error that it throws.
+ * >> var parse = Functional.Either.lift('JSON.parse(s)')
+ * >> parse('[1]').value -> [1]
+ * >> parse('[').value instanceof SyntaxError -> true
+ */
+Functional.Either.lift = function(fn) {
+    fn = Functional.toFunction(fn);
+    return function() {
+        try {
+            return Functional.Either.right(fn.apply(this, arguments));
+        } catch (error) {
+            return Functional.Either.left(error);
+        }
+    }
+}
+
+Functional.Either.prototype = {
+    /// Returns `Right` the value of `fn` on a `Right` value, or this.
+    map: function(fn) {
+        return this.isLeft ? this : Functional.Either.right(Functional.toFunction(fn)(this.value));
+    },
+
+    /// Returns the `Either` that `fn` returns for a `Right` value (a
+    /// plain value is `Right`), or this.
+    chain: function(fn) {
+        if (this.isLeft)
+            return this;
+        var result = Functional.toFunction(fn)(this.value);
+        return result instanceof Functional.Either ? result : Functional.Either.right(result);
+    },
+
+    /// Returns a `Right` value, or `otherwise` if this is `Left`.
+    getOrElse: function(otherwise) {
+        return this.isLeft ? otherwise : this.value;
+    },
+
+    /// Returns `ifLeft(value)` or `ifRight(value)`.
+    fold: function(ifLeft, ifRight) {
+        return Functional.toFunction(this.isLeft ? ifLeft : ifRight)(this.value);
+    },
+
+    toString: function() {
+        return (this.isLeft ? 'Left(' : 'Right(') + this.value + ')';
+    }
+}
+
+/**
+ * Same as `compose`, except that each function returns a `Maybe` or an
+ * `Either`, and the functions before it are applied to its value with
+ * `chain`.  A `Nothing` or a `Left` skips the rest of the functions.
+ * A function that returns a plain value is treated as though it returned
+ * `Maybe.of` the value, or `Right` the value in a pipeline of `Either`s.
+ * In a pipeline of `Either`s, an error that a function throws becomes a
+ * `Left`.
+ * == composeM(f, g)(args...) == g(args...).chain(f)
+ * >> var Maybe = Functional.Maybe
+ * >> var street = Functional.composeM('x.street', 'x.address', Maybe.lift('id -> users[id]'))
+ * >> var users = {1: {address: {street: 'Main'}}, 2: {}}
+ * >> street(1).getOrElse('unknown') -> "Main"
+ * >> street(2).getOrElse('unknown') -> "unknown"
+ * >> street(3).getOrElse('unknown') -> "unknown"
+ */
+Functional.composeM = function(/*fn...*/) {
+    var fns = Functional._slice(arguments, 0).map(function(fn) {
+        return Functional.toFunction(fn);
+    });
+    return function() {
+        return Functional._chainM(fns.slice(0).reverse(), this, arguments);
+    }
+}
+
+/**
+ * Same as `composeM`, except that it applies the functions in
+ * argument-list order.
+ * == sequenceM(f, g)(args...) == f(args...).chain(g)
+ * >> var Either = Functional.Either
+ * >> var clean = Functional.sequenceM(Either.lift('JSON.parse(s)'), 'x.name', 'x.trim()')
+ * >> clean('{"name": " Ann "}').value -> "Ann"
+ * >> clean('{"name": ').isLeft -> true
+ * >> clean('{}').isLeft -> true
+ */
+Functional.sequenceM = function(/*fn...*/) {
+    var fns = Functional._slice(arguments, 0).map(function(fn) {
+        return Functional.toFunction(fn);
+    });
+    return function() {
+        return Functional._chainM(fns, this, arguments);
+    }
+}
+
+// Applies the first of `fns` to `args`, and chains the others onto its
+// value.
+Functional._chainM = function(fns, self, args) {
+    var result = fns.length ? fns[0].apply(self, args) : args[0];
+    if (!(result instanceof Functional.Maybe || result instanceof Functional.Either))
+        result = Functional.Maybe.of(result);
+    for (var i = 1; i < fns.length; i++)
+        result = result.chain(Functional._chainStage(fns[i], self, result instanceof Functional.Either));
+    return result;
+}
+
+// Returns `fn`, with `self` as its `this`.  If `either` is true, an
+// error that `fn` throws becomes a `Left`.
+Functional._chainStage = function(fn, self, either) {
+    return function(value) {
+        if (!either)
+            return fn.call(self, value);
+        try {
+            return fn.call(self, value);
+        } catch (error) {
+            return Functional.Either.left(error);
+        }
+    }
+}
+
+/// ^ Lenses
+
+/**
+ * A lens focuses on a part of a value, such as a property of an object
+ * or an element of an array.  `view` reads the part; `set` and `over`
+ * return a copy of the value with the part replaced, copying the objects
+ * and arrays on the way to it and sharing the rest.  `lensProp`,
+ * `lensIndex` and `lensPath` make lenses, and `compose` combines them,
+ * outermost first.
+ * >> var record = {name: 'Ann', tags: ['a', 'b'], address: {city: 'Oslo'}}
+ * >> var city = compose(Functional.lensProp('address'), Functional.lensProp('city'))
+ * >> Functional.view(city, record) -> "Oslo"
+ * >> Functional.set(city, 'Rome', record).address.city -> "Rome"
+ * >> record.address.city -> "Oslo"
+ * >> Functional.over(Functional.lensPath('tags[1]'), 'x.toUpperCase()', record).tags -> ["a", "B"]
+ * >> Functional.set(city, 'Rome', record).tags === record.tags -> true
+ *
+ * Where `view`, `set` and `over` take a lens, they also take a path, as
+ * for `lensPath`.  Without the value, they return a function of it:
+ * >> map(Functional.view('address.city'), [record]) -> ["Oslo"]
+ * >> map(Functional.over('n', '+1'), [{n: 1}, {n: 2}]).map(pluck('n')) -> [2, 3]
+ */
+Functional.view = function(lens, object) {
+    lens = Functional._toLens(lens);
+    if (arguments.length < 2)
+        return function(object) { return Functional.view(lens, object); }
+    return lens(Functional._constantFunctor)(object).value;
+}
+
+/**
+ * Returns a copy of `object` with the part that `lens` focuses on
+ * replaced by `value`.
+ * == view(lens, set(lens, value, object)) == value
+ * >> Functional.set('a.b', 2, {a: {b: 1, c: 1}}).a -> {b: 2, c: 1}
+ * >> Functional.set('xs[1]', 'y', {xs: ['x']}).xs -> ["x", "y"]
+ * >> Functional.set('a.b', 1, {}).a -> {b: 1}
+ * >> Object.keys(Functional.set('__proto__.isAdmin', true, {})) -> ["__proto__"]
+ * >> Functional.set('__proto__.isAdmin', true, {}).isAdmin -> undefined
+ */
+Functional.set = function(lens, value, object) {
+    if (arguments.length < 3)
+        return function(object) { return Functional.set(lens, value, object); }
+    return Functional.over(lens, function() { return value; }, object);
+}
+
+/**
+ * Returns a copy of `object` with the part that `lens` focuses on
+ * replaced by `fn` of it.
+ * == view(lens, over(lens, fn, object)) == fn(view(lens, object))
+ * >> Functional.over('a[0]', 'x*10', {a: [1, 2]}).a -> [10, 2]
+ */
+Functional.over = function(lens, fn, object) {
+    lens = Functional._toLens(lens);
+    fn = Functional.toFunction(fn);
+    if (arguments.length < 3)
+        return function(object) { return Functional.over(lens, fn, object); }
+    return lens(function(value) {
+        return Functional._identityFunctor(fn(value));
+    })(object).value;
+}
+
+/**
+ * Returns a lens that reads its part with `getter`, and replaces it with
+ * `setter(value, object)`, which returns a copy of `object`.
+ * >> var words = Functional.lens('s -> s.split(" ")', 'xs -> xs.join(" ")')
+ * >> Functional.over(words, 'xs -> xs.reverse()', 'lenses compose') -> "compose lenses"
+ */
+Functional.lens = function(getter, setter) {
+    getter = Functional.toFunction(getter);
+    setter = Functional.toFunction(setter);
+    return function(toFunctor) {
+        return function(object) {
+            return toFunctor(getter(object)).map(function(value) {
+                return setter(value, object);
+            });
+        }
+    }
+}
+
 /**
- * Returns a function that returns `true` when $fn()$ returns false.
- * == f.not()(args...) == !f(args...)
- * :: (a -> boolean) -> (a -> boolean)
- * >> not(Functional.K(true))() -> false
- * >> not(Functional.K(false))() -> true
+ * Returns a lens that focuses on the `name` property of an object.
+ * Setting it on null or undefined makes a new object.
+ * >> Functional.view(Functional.lensProp('length'), 'abc') -> 3
+ * >> Functional.view(Functional.lensProp('a'), null) -> undefined
  */
-Functional.not = function(fn) {
-    fn = Function.toFunction(fn);
-    return function() {
-        return !fn.apply(null, arguments);
-    }
+Functional.lensProp = function(name) {
+    return Functional.lens(function(object) {
+        return object == null ? undefined : object[name];
+    }, function(value, object) {
+        return Functional._assoc(name, value, object == null ? {} : object);
+    });
 }
 
 /**
- * Returns a function that returns true when this function's arguments
- * applied to that functions are always the same.  The returned function
- * short-circuits.
- * == equal(f1, f2...)(args...) == f1(args...) == f2(args...)...
- * :: [a... -> b] -> a... -> b
- * >> equal()() -> true
- * >> equal(K(1))() -> true
- * >> equal(K(1), K(1))() -> true
- * >> equal(K(1), K(2))() -> false
- * >> equal(K(1), K(2), 'error()')() -> false
+ * Returns a lens that focuses on the element at `index` of an array.
+ * Setting it on null or undefined makes a new array.
+ * >> Functional.set(Functional.lensIndex(0), 'a', ['x', 'y']) -> ["a", "y"]
  */
-Functional.equal = function(/*fn...*/) {
-    var arglen = arguments.length,
-        args = Functional.map(Function.toFunction, arguments);
-    if (!arglen) return Functional.K(true);
-    // if arglen == 1 it's also constant true, but
-    // call it for effect.
-    return function() {
-        var value = args[0].apply(this, arguments);
-        for (var i = 1; i < arglen; i++)
-            if (value != args[i].apply(this, arguments))
-                return false;
-        return true;
-    }
+Functional.lensIndex = function(index) {
+    return Functional.lens(function(array) {
+        return array == null ? undefined : array[index];
+    }, function(value, array) {
+        return Functional._assoc(index, value, array == null ? [] : array);
+    });
+}
+
+/**
+ * Returns a lens that focuses on the end of `path`, which is either an
+ * array of property names and indices, or a string such as
+ * `'a.b[0].c'` or `'a["b.c"]'`.  An empty path focuses on the whole
+ * value.
+ * == lensPath('a.b[0]') == compose(lensProp('a'), lensProp('b'), lensIndex(0))
+ * >> Functional.view(Functional.lensPath('a.b[0].c'), {a: {b: [{c: 1}]}}) -> 1
+ * >> Functional.view(Functional.lensPath(['a', 0]), {a: ['x']}) -> "x"
+ * >> Functional.view(Functional.lensPath('["x.y"]'), {'x.y': 2}) -> 2
+ * >> Functional.set(Functional.lensPath(''), 1, 2) -> 1
+ */
+Functional.lensPath = function(path) {
+    var lenses = Functional._pathKeys(path).map(function(key) {
+        return typeof key == 'number' ? Functional.lensIndex(key) : Functional.lensProp(key);
+    });
+    if (!lenses.length)
+        return function(toFunctor) { return toFunctor; }
+    return Functional.compose.apply(null, lenses);
 }
 
+// Returns `lens`, or a lens for it as a path.
+Functional._toLens = function(lens) {
+    return typeof lens == 'function' ? lens : Functional.lensPath(lens);
+}
 
-/// ^^ Utilities
+// Splits a path such as `'a.b[0]["c.d"]'` into `['a', 'b', 0, 'c.d']`.
+Functional._pathKeys = function(path) {
+    if (typeof path != 'string' && !(path instanceof String))
+        return Functional._slice(path, 0);
+    var keys = [], pattern = /\[(\d+)\]|\[(["'])(.*?)\2\]|([^.[\]]+)/g, match;
+    while ((match = pattern.exec(path)))
+        keys.push(match[1] !== undefined ? Number(match[1])
+                  : match[2] !== undefined ? match[3]
+                  : match[4]);
+    return keys;
+}
 
-/**
-  * Returns its argument coerced to a function.
-  * >> lambda('1+')(2) -> 3
-  * >> lambda(function(n){return n+1})(2) -> 3
-  */
-Functional.lambda = function(object) {
-    return object.toFunction();
+// Returns a copy of `object` with its `key` property set to `value`.
+Functional._assoc = function(key, value, object) {
+    var copy;
+    if (Array.isArray(object)) {
+        copy = object.slice(0);
+    } else {
+        copy = Object.create(Object.getPrototypeOf(Object(object)));
+        Object.keys(Object(object)).forEach(function(name) {
+            Functional._setOwn(copy, name, object[name]);
+        });
+    }
+    return Functional._setOwn(copy, key, value);
+}
+
+// The functors that `view` and `over` apply lenses to: `view`'s keeps
+// the part, and `over`'s replaces it.
+Functional._constantFunctor = function(value) {
+    return {value: value, map: function() { return this; }};
+}
+
+Functional._identityFunctor = function(value) {
+    return {value: value, map: function(fn) {
+        return Functional._identityFunctor(fn(value));
+    }};
 }
 
+/// ^ Tracing
 
 /**
- * Returns a function that takes an object as an argument, and applies
- * `object`'s `methodName` method to `arguments`.
- * == invoke(name)(object, args...) == object[name](args...)
- * :: name args... -> object args2... -> object[name](args... args2...)
- * >> invoke('toString')(123) -> "123"
+ * A `Tracer` records calls to the functions that it wraps: which function
+ * was called, with which arguments, how deep in the other traced calls,
+ * what it returned or threw, and how long it took.  It sends each record
+ * to its sink, and adds up the calls and times for `profile` and
+ * `report`.  `traced` uses `Functional.tracer`, which prints to the
+ * console.
+ * >> var clock = new Functional.ManualClock(), lines = []
+ * >> var tracer = new Functional.Tracer({clock: clock, sink: Functional.Tracer.consoleSink(function(line) { lines.push(line) })})
+ * >> var work = tracer.wrap(function(n) { clock.tick(n); return n }, 'work')
+ * >> var job = tracer.wrap(function() { return work(2) + work(3) }, 'job')
+ * >> job() -> 5
+ * >> lines -> ["job()", "  work(2)", "  work -> 2 (2ms)", "  work(3)", "  work -> 3 (3ms)", "job -> 5 (5ms)"]
+ * >> tracer.profile() -> [{name: "job", calls: 1, total: 5, self: 0}, {name: "work", calls: 2, total: 5, self: 5}]
+ *
+ * `options.sink` is a function that receives each record, or null to
+ * only keep the profile.  A record is an object with `type` ("call",
+ * "return" or "throw"), `id`, `parent` (the `id` of the traced call that
+ * made this one, or null), `name`, `depth`, `args`, and then `result` or
+ * `error`, and `elapsed`.  `Tracer.consoleSink`, `Tracer.arraySink` and
+ * `Tracer.jsonlSink` make sinks.
+ *
+ * `options.sample` is the fraction of outermost calls to record, with the
+ * calls that they make, by `options.random` (`Math.random` by default).
+ * `options.clock` measures the times, in milliseconds; it's
+ * `performance` where there is one, and `Functional.clock` otherwise.
+ * >> var skipped = new Functional.Tracer({sink: null, sample: 0.5, random: Functional.K(0.9)})
+ * >> skipped.wrap('+1', 'inc')(1); skipped.profile() -> []
  */
-Functional.invoke = function(methodName/*, arguments*/) {
-    var args = Array.slice(arguments, 1);
-    return function(object) {
-        return object[methodName].apply(object, Array.slice(arguments, 1).concat(args));
+Functional.Tracer = function(options) {
+    options = options || {};
+    this.sink = options.sink === undefined ? Functional.Tracer.consoleSink() : options.sink;
+    this.sample = options.sample == null ? 1 : options.sample;
+    this.random = options.random || Math.random;
+    this.clock = options.clock
+        || (typeof performance != 'undefined' && typeof performance.now == 'function'
+            ? performance : Functional.clock);
+    this.reset();
+}
+
+Functional.Tracer.prototype = {
+    /// Returns a function that calls `fn` (a function or a string
+    /// lambda), and records the call as `name`.
+    wrap: function(fn, name) {
+        var tracer = this;
+        if (typeof fn != 'function')
+            fn = Functional.toFunction(fn);
+        name = name || fn.name || 'function';
+        var traced = function() {
+            return tracer.call(fn, name, this, arguments);
+        };
+        Object.defineProperty(traced, 'length', {value: fn.length});
+        traced.untraced = fn;
+        return traced;
+    },
+
+    /// Calls `fn` with `self` and `args`, and records the call as `name`.
+    call: function(fn, name, self, args) {
+        if (this.skipping || !this.stack.length && this.sample < 1 && !(this.random() < this.sample)) {
+            this.skipping++;
+            try {
+                return fn.apply(self, args);
+            } finally {
+                this.skipping--;
+            }
+        }
+        var parent = this.stack[this.stack.length - 1],
+            frame = {id:++this.lastId, parent:parent ? parent.id : null, name:name,
+                     args:Functional._slice(args, 0), children:0},
+            result;
+        this.emit(frame, {type:'call'});
+        this.stack.push(frame);
+        frame.start = this.clock.now();
+        try {
+            result = fn.apply(self, args);
+        } catch (error) {
+            this.finish(frame, {type:'throw', error:error});
+            throw error;
+        }
+        this.finish(frame, {type:'return', result:result});
+        return result;
+    },
+
+    /**
+     * Replaces each function property of `object` by a traced function,
+     * named `prefix.name`, and returns a function that puts the original
+     * functions back.  This skips the names that begin with `_`, and
+     * constructors, whose names are capitalized.
+     * >> var tracer = new Functional.Tracer({sink: null})
+     * >> var untrace = tracer.traceObject(Math, 'Math')
+     * >> Math.max(1, 2); untrace(); Math.max.untraced -> undefined
+     * >> tracer.profile()[0].name -> "Math.max"
+     */
+    traceObject: function(object, prefix) {
+        var tracer = this,
+            originals = [];
+        prefix = prefix ? prefix + '.' : '';
+        Object.getOwnPropertyNames(object).forEach(function(name) {
+            var value = Object.getOwnPropertyDescriptor(object, name).value;
+            if (typeof value != 'function' || value.untraced
+                || /^_|^[A-Z]\w/.test(name) || Functional.Tracer._untraced['#' + name])
+                return;
+            originals.push([name, value]);
+            object[name] = tracer.wrap(value, prefix + name);
+        });
+        return function() {
+            originals.forEach(function(pair) {
+                object[pair[0]] = pair[1];
+            });
+        }
+    },
+
+    /// Traces every function in `Functional`, as `traceObject` does, and
+    /// returns a function that stops.
+    traceFunctional: function() {
+        return this.traceObject(Functional, 'Functional');
+    },
+
+    /// Returns `{name, calls, total, self}` for each name, by descending
+    /// `total`.  `self` is the part of `total` not spent in other traced
+    /// calls.
+    profile: function() {
+        return Array.from(this.profiles.values()).sort(function(a, b) {
+            return b.total - a.total || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+        }).map(function(entry) {
+            return {name:entry.name, calls:entry.calls, total:entry.total, self:entry.self};
+        });
+    },
+
+    /**
+     * Returns the profile as a table.
+     * >> var tracer = new Functional.Tracer({sink: null, clock: new Functional.ManualClock()})
+     * >> tracer.wrap('x', 'id')(1); tracer.report() -> "name  calls  total   self\nid        1  0.000  0.000"
+     */
+    report: function() {
+        var rows = [['name', 'calls', 'total', 'self']].concat(this.profile().map(function(entry) {
+            return [entry.name, String(entry.calls), entry.total.toFixed(3), entry.self.toFixed(3)];
+        }));
+        var widths = rows[0].map(function(_, column) {
+            return Math.max.apply(null, rows.map(function(row) { return row[column].length; }));
+        });
+        return rows.map(function(row) {
+            return row.map(function(cell, column) {
+                var padding = new Array(widths[column] - cell.length + 1).join(' ');
+                return column ? padding + cell : cell + padding;
+            }).join('  ');
+        }).join('\n');
+    },
+
+    /// Forgets the profile.
+    reset: function() {
+        this.stack = [];
+        this.skipping = 0;
+        this.lastId = 0;
+        this.profiles = new Map;
+    },
+
+    // Records the end of `frame`'s call.
+    finish: function(frame, event) {
+        var elapsed = this.clock.now() - frame.start,
+            entry = this.profiles.get(frame.name);
+        this.stack.pop();
+        if (this.stack.length)
+            this.stack[this.stack.length - 1].children += elapsed;
+        if (!entry)
+            this.profiles.set(frame.name, entry = {name:frame.name, calls:0, total:0, self:0});
+        entry.calls++;
+        entry.total += elapsed;
+        entry.self += elapsed - frame.children;
+        event.elapsed = elapsed;
+        this.emit(frame, event);
+    },
+
+    // Sends `event`, with the fields of `frame`, to the sink.
+    emit: function(frame, event) {
+        if (!this.sink)
+            return;
+        var record = {type:event.type, id:frame.id, parent:frame.parent, name:frame.name,
+                      depth:this.stack.length, args:frame.args};
+        for (var key in event)
+            record[key] = event[key];
+        this.sink(record);
     }
 }
 
+/// The functions that `traceObject` leaves alone.
+Functional.Tracer._untraced = {'#install':true, '#traced':true, '#debug':true};
+
 /**
- * Returns a function that takes an object, and returns the value of its
- * `name` property.  `pluck(name)` is equivalent to `'_.name'.lambda()`.
- * == pluck(name)(object) == object[name]
- * :: name -> object -> object[name]
- * >> pluck('length')("abc") -> 3
+ * Returns a sink that writes each call and return as a line, indented by
+ * its depth, to `log`, which is `console.info` (or `print`) by default.
  */
-Functional.pluck = function(name) {
-    return function(object) {
-        return object[name];
+Functional.Tracer.consoleSink = function(log) {
+    log = log || Functional._consoleLog();
+    return function(event) {
+        var line = new Array(event.depth + 1).join('  ') + event.name;
+        switch (event.type) {
+        case 'call':
+            return log(line + '(' + event.args.map(Functional._traceString).join(', ') + ')');
+        case 'return':
+            return log(line + ' -> ' + Functional._traceString(event.result)
+                       + ' (' + +event.elapsed.toFixed(3) + 'ms)');
+        case 'throw':
+            return log(line + ' threw ' + event.error
+                       + ' (' + +event.elapsed.toFixed(3) + 'ms)');
+        }
     }
 }
 
 /**
- * Returns a function that, while $pred(value)$ is true, applies `fn` to
- * $value$ to produce a new value, which is used as an input for the next round.
- * The returned function returns the first $value$ for which $pred(value)$
- * is false.
- * :: (a -> boolean) (a -> a) -> a
- * >> until('>10', '2*')(1) -> 16
+ * Returns a sink that adds each record to `array`.
+ * >> var events = [], tracer = new Functional.Tracer({sink: Functional.Tracer.arraySink(events)})
+ * >> tracer.wrap('x*2', 'double')(3); map('.type', events) -> ["call", "return"]
+ * >> events[1].result -> 6
  */
-Functional.until = function(pred, fn) {
-    fn = Function.toFunction(fn);
-    pred = Function.toFunction(pred);
-    return function(value) {
-        while (!pred.call(null, value))
-            value = fn.call(null, value);
-        return value;
+Functional.Tracer.arraySink = function(array) {
+    return function(event) {
+        array.push(event);
     }
 }
 
 /**
- * :: [a] [b]... -> [[a b]...]
- * == zip(a, b...) == [[a0, b0], [a1, b1], ...]
- * Did you know that `zip` can transpose a matrix?
- * >> zip.apply(null, [[1,2],[3,4]]) -> [[1, 3], [2, 4]]
+ * Returns a sink that calls `write` with each record as a line of JSON,
+ * such as `process.stdout.write.bind(process.stdout)`.  Functions,
+ * symbols and errors are written as strings and objects.
+ * >> var lines = [], tracer = new Functional.Tracer({sink: Functional.Tracer.jsonlSink(function(line) { lines.push(line) })})
+ * >> tracer.wrap(function(f) { throw new Error('no') }, 'fail')(Math.abs) -> error
+ * >> JSON.parse(lines[1]).error -> {name: "Error", message: "no"}
  */
-Functional.zip = function(/*args...*/) {
-    var n = Math.min.apply(null, Functional.map('.length', arguments));
-    var results = new Array(n);
-    for (var i = 0; i < n; i++) {
-        var key = String(i);
-        results[key] = Functional.map(pluck(key), arguments);
-    };
-    return results;
+Functional.Tracer.jsonlSink = function(write) {
+    return function(event) {
+        var json;
+        try {
+            json = JSON.stringify(event, Functional._traceJSON);
+        } catch (e) {
+            // A cyclic argument or result.
+            var copy = Object.assign({}, event, {args:event.args.map(Functional._traceString)});
+            'result' in copy && (copy.result = Functional._traceString(copy.result));
+            json = JSON.stringify(copy, Functional._traceJSON);
+        }
+        write(json + '\n');
+    }
 }
 
-Functional._startRecordingMethodChanges = function(object) {
-    var initialMethods = {};
-    for (var name in object)
-        initialMethods[name] = object[name];
-    return {getChangedMethods: function() {
-        var changedMethods = {};
-        for (var name in object)
-        if (object[name] != initialMethods[name])
-            changedMethods[name] = object[name];
-        return changedMethods;
-    }};
+// A `JSON.stringify` replacer for trace records.
+Functional._traceJSON = function(key, value) {
+    switch (typeof value) {
+    case 'function': return 'function ' + value.name;
+    case 'symbol': case 'bigint': return String(value);
+    case 'undefined': return null;
+    }
+    if (value instanceof Error)
+        return {name:value.name, message:value.message};
+    return value;
+}
+
+// Returns `value` as it's written in a trace.  An array inside itself
+// is written as `[Circular]`; an object that `JSON.stringify` can't
+// write, such as one inside itself, as `String(value)`.
+Functional._traceString = function(value) {
+    var ancestors = [];
+    function write(value) {
+        if (Array.isArray(value)) {
+            if (ancestors.indexOf(value) >= 0)
+                return '[Circular]';
+            ancestors.push(value);
+            var text = '[' + value.map(function(element) { return write(element); }).join(', ') + ']';
+            ancestors.pop();
+            return text;
+        }
+        switch (typeof value) {
+        case 'function': return 'function()';
+        case 'string': return JSON.stringify(value);
+        case 'symbol': return String(value);
+        }
+        if (value && typeof value == 'object' && !(value instanceof Error))
+            try {
+                return JSON.stringify(value);
+            } catch (e) {}
+        return String(value);
+    }
+    return write(value);
+}
+
+// Returns `console.info`, or `print` where there isn't a console, or a
+// function that does nothing.
+Functional._consoleLog = function() {
+    if (typeof console != 'undefined' && typeof console.info == 'function')
+        return function() { console.info.apply(console, arguments); };
+    if (typeof print == 'function')
+        return print;
+    return function() {};
 }
 
-// For each method that this file defined on `Function.prototype`,
-// define a function on `Functional` that delegates to it.
+/// The tracer that `traced` uses.
+Functional.tracer = new Functional.Tracer();
+
+// For each method in `methods`, define a function on `Functional`
+// that delegates to it.
 Functional._attachMethodDelegates = function(methods) {
     for (var name in methods)
         Functional[name] = Functional[name] || (function(name) {
             var fn = methods[name];
             return function(object) {
-                return fn.apply(Function.toFunction(object), Array.slice(arguments, 1));
+                return fn.apply(Functional.toFunction(object), Functional._slice(arguments, 1));
             }
         })(name);
 }
 
-// Record the current contents of `Function.prototype`, so that we
-// can see what we've added later.
-Functional.__initalFunctionState = Functional._startRecordingMethodChanges(Function.prototype);
-
 /// ^ Higher-order methods
 
 /// ^^ Partial function application
@@ -376,11 +2467,11 @@ Functional.__initalFunctionState = Functional._startRecordingMethodChanges(Funct
  * Returns a bound method on `object`, optionally currying `args`.
  * == f.bind(obj, args...)(args2...) == f.apply(obj, [args..., args2...])
  */
-Function.prototype.bind = function(object/*, args...*/) {
+Functional._functionMethods.bind = function(object/*, args...*/) {
     var fn = this;
-    var args = Array.slice(arguments, 1);
+    var args = Functional._slice(arguments, 1);
     return function() {
-        return fn.apply(object, args.concat(Array.slice(arguments, 0)));
+        return fn.apply(object, args.concat(Functional._slice(arguments, 0)));
     }
 }
 
@@ -393,9 +2484,9 @@ Function.prototype.bind = function(object/*, args...*/) {
  * >> Math.max.saturate(1, 2)(3, 4) -> 2
  * >> Math.max.curry(1, 2).saturate()(3, 4) -> 2
  */
-Function.prototype.saturate = function(/*args*/) {
+Functional._functionMethods.saturate = function(/*args*/) {
     var fn = this;
-    var args = Array.slice(arguments, 0);
+    var args = Functional._slice(arguments, 0);
     return function() {
         return fn.apply(this, args);
     }
@@ -424,10 +2515,10 @@ Function.prototype.saturate = function(/*args*/) {
  * a single argument from `map` and the remaining arguments from when
  * the result of `map` is applied.
  */
-Function.prototype.aritize = function(n) {
+Functional._functionMethods.aritize = function(n) {
     var fn = this;
     return function() {
-        return fn.apply(this, Array.slice(arguments, 0, n));
+        return fn.apply(this, Functional._slice(arguments, 0, n));
     }
 }
 
@@ -447,11 +2538,11 @@ Function.prototype.aritize = function(n) {
  * This implementation is adapted from
  * [http://www.coryhudson.com/blog/2007/03/10/javascript-currying-redux/].
  */
-Function.prototype.curry = function(/*args...*/) {
+Functional._functionMethods.curry = function(/*args...*/) {
     var fn = this;
-    var args = Array.slice(arguments, 0);
+    var args = Functional._slice(arguments, 0);
     return function() {
-        return fn.apply(this, args.concat(Array.slice(arguments, 0)));
+        return fn.apply(this, args.concat(Functional._slice(arguments, 0)));
     };
 }
 
@@ -461,11 +2552,11 @@ Function.prototype.curry = function(/*args...*/) {
  * == f.rcurry(args1...)(args2...) == f(args2..., args1...)
  * :: (a... b... -> c) b... -> (a... -> c)
  */
-Function.prototype.rcurry = function(/*args...*/) {
+Functional._functionMethods.rcurry = function(/*args...*/) {
     var fn = this;
-    var args = Array.slice(arguments, 0);
+    var args = Functional._slice(arguments, 0);
     return function() {
-        return fn.apply(this, Array.slice(arguments, 0).concat(args));
+        return fn.apply(this, Functional._slice(arguments, 0).concat(args));
     };
 }
 
@@ -473,14 +2564,14 @@ Function.prototype.rcurry = function(/*args...*/) {
  * Same as `curry`, except only applies the function when all
  * `n` arguments are saturated.
  */
-Function.prototype.ncurry = function(n/*, args...*/) {
+Functional._functionMethods.ncurry = function(n/*, args...*/) {
     var fn = this;
-    var largs = Array.slice(arguments, 1);
+    var largs = Functional._slice(arguments, 1);
     return function() {
-        var args = largs.concat(Array.slice(arguments, 0));
+        var args = largs.concat(Functional._slice(arguments, 0));
         if (args.length < n) {
             args.unshift(n);
-            return fn.ncurry.apply(fn, args);
+            return Functional._functionMethods.ncurry.apply(fn, args);
         }
         return fn.apply(this, args);
     };
@@ -490,25 +2581,94 @@ Function.prototype.ncurry = function(n/*, args...*/) {
  * Same as `rcurry`, except only applies the function when all
  * `n` arguments are saturated.
  */
-Function.prototype.rncurry = function(n/*, args...*/) {
+Functional._functionMethods.rncurry = function(n/*, args...*/) {
     var fn = this;
-    var rargs = Array.slice(arguments, 1);
+    var rargs = Functional._slice(arguments, 1);
     return function() {
-        var args = Array.slice(arguments, 0).concat(rargs);
+        var args = Functional._slice(arguments, 0).concat(rargs);
         if (args.length < n) {
             args.unshift(n);
-            return fn.rncurry.apply(fn, args);
+            return Functional._functionMethods.rncurry.apply(fn, args);
         }
         return fn.apply(this, args);
     };
 }
 
 /**
- * `_` (underscore) is bound to a unique value for use in `partial`, below.
- * This is a global variable, but it's also a property of `Function` in case
- * you overwrite or bind over the global one.
+ * Returns a function that collects arguments, over as many calls as it
+ * takes, until it has `n` of them, and then applies the underlying
+ * function to them.  `n` defaults to the function's `length`, which for
+ * a string lambda is the number of its parameters.
+ * >> var add3 = 'a b c -> a + b + c'.lambda().autocurry()
+ * >> add3(1)(2)(3) -> 6
+ * >> add3(1, 2)(3) -> 6
+ * >> add3(1)(2, 3) -> 6
+ * >> Functional.autocurry(Math.max, 3)(1)(5, 2) -> 5
+ *
+ * An argument can be `_`, as in `partial`, to leave a hole that the next
+ * argument fills:
+ * >> Functional.autocurry('x y -> x - y')(_, 1)(3) -> 2
+ * >> add3(_, 'b')(_, 'c')('a') -> "abc"
+ *
+ * Each function's `length` is the number of arguments that it still
+ * needs:
+ * >> add3(1).length -> 2
+ * >> add3(_, 2).length -> 2
+ */
+Functional._functionMethods.autocurry = function(n) {
+    return Functional._autocurried(this, n === undefined ? this.length : n, []);
+}
+
+// Returns `fn`, waiting for `n` arguments, with `args` collected so far.
+Functional._autocurried = function(fn, n, args) {
+    var _ = Functional._,
+        holes = 0;
+    for (var i = 0; i < args.length; i++)
+        args[i] === _ && holes++;
+    var curried = function() {
+        var combined = args.slice(0), j = 0;
+        for (var i = 0; i < combined.length && j < arguments.length; i++)
+            if (combined[i] === _)
+                combined[i] = arguments[j++];
+        combined = combined.concat(Functional._slice(arguments, j));
+        return combined.length >= n && combined.indexOf(_) < 0
+            ? fn.apply(this, combined)
+            : Functional._autocurried(fn, n, combined);
+    };
+    Object.defineProperty(curried, 'length', {
+        value: holes + Math.max(0, n - args.length)
+    });
+    return curried;
+}
+
+/**
+ * `_` (underscore) is the placeholder for `partial`, below: a unique
+ * `Symbol`, that no other value is equal to.  `Functional._` is the
+ * placeholder.  Unless `Functional.pure` is set, `Function._` is the same
+ * value, and so is the global `_`, if another library such as Underscore
+ * or Lodash hasn't already defined one.  Use `Functional._`, or the `_`
+ * that the Node module exports, where the global `_` means something
+ * else.
+ */
+Functional._ = Symbol('_');
+
+/**
+ * `Functional.rest` is the rest placeholder for `partial`: it stands for
+ * all the arguments that don't fill a `_`.
+ */
+Functional.rest = Symbol('rest');
+
+/**
+ * Returns a named placeholder for `partial`, that a property `name` of
+ * an object fills.  In a `match` pattern, it captures a value as `name`.
  */
-_ = Function._ = {};
+Functional.key = function(name) {
+    return new Functional._Key(name);
+}
+
+Functional._Key = function(name) {
+    this.name = name;
+}
 
 /**
  * Returns a function $f$ such that $f(args2)$ is equivalent to
@@ -522,31 +2682,116 @@ _ = Function._ = {};
  * remaining hole in `args`.  Any remaining values
  * in $args2$ are appended to the result of the filling-in process
  * to produce the combined argument list.
+ * >> Functional.partial('a b c -> [a, b, c]', _, 2)(1, 3) -> [1, 2, 3]
+ *
+ * If `args` contains `Functional.rest`, the remaining values take its
+ * place, instead of being appended:
+ * >> Functional.partial('[].slice.call(arguments)', 1, Functional.rest, 9)(2, 3) -> [1, 2, 3, 9]
  *
- * If the combined argument list contains any occurrences of `_`, the result
+ * `Functional.key(name)` is a named hole.  It can be an argument, or a
+ * property of an object argument, such as an options object.  If `args`
+ * contains named holes, and the last value in $args2$ is a plain object
+ * that comes after the values for the `_`s, that object's properties
+ * fill them by name:
+ * >> var request = function(url, options) { return [url, options.method, options.timeout] }
+ * >> var get = Functional.partial(request, _, {method: 'GET', timeout: Functional.key('timeout')})
+ * >> get('/a', {timeout: 10}) -> ["/a", "GET", 10]
+ * >> get('/a')({timeout: 5}) -> ["/a", "GET", 5]
+ * >> Functional.partial('a b -> [a, b]', _, Functional.key('x'))({y: 1})({x: 2}) -> [{y: 1}, 2]
+ * >> Functional.partial('a b -> [a, b]', _, Functional.key('x'))([1], {x: 2}) -> [[1], 2]
+ *
+ * If the combined argument list contains any holes, the result
  * of the application of $f$ is another partial function.  Otherwise, the
  * result is the same as the result of applying the underlying function to
  * the combined argument list.
  */
-Function.prototype.partial = function(/*args*/) {
+Functional._functionMethods.partial = function(/*args*/) {
     var fn = this;
-    var _ = Function._;
-    var args = Array.slice(arguments, 0);
-    //substitution positions
-    var subpos = [], value;
-    for (var i = 0; i < arguments.length; i++)
-        arguments[i] == _ && subpos.push(i);
-    return function() {
-        var specialized = args.concat(Array.slice(arguments, subpos.length));
-        for (var i = 0; i < Math.min(subpos.length, arguments.length); i++)
-            specialized[subpos[i]] = arguments[i];
+    var args = Functional._slice(arguments, 0);
+    return function() {
+        var specialized = Functional._fillHoles(args, Functional._slice(arguments, 0));
         for (var i = 0; i < specialized.length; i++)
-            if (specialized[i] == _)
-                return fn.partial.apply(fn, specialized);
+            if (specialized[i] === Functional._ || Functional._hasKey(specialized[i]))
+                return Functional._functionMethods.partial.apply(fn, specialized);
         return fn.apply(this, specialized);
     }
 }
 
+// Returns `args`, with `values` in place of its holes, as described
+// under `partial`.
+Functional._fillHoles = function(args, values) {
+    var holes = args.filter(function(arg) { return arg === Functional._; }).length,
+        keys = values.length > holes && Functional._isPlainObject(values[values.length - 1])
+            && args.some(Functional._hasKey)
+            ? values.pop()
+            : null,
+        result = [], rest = -1, used = 0;
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (arg === Functional.rest)
+            rest = result.length;
+        else if (arg === Functional._ && used < values.length)
+            result.push(values[used++]);
+        else
+            result.push(keys ? Functional._fillKeys(arg, keys) : arg);
+    }
+    values = values.slice(used);
+    if (rest < 0)
+        return result.concat(values);
+    result.splice.apply(result, [rest, 0].concat(values));
+    return result;
+}
+
+// Returns true if `value` is a named hole, or a plain object with one as
+// a property.
+Functional._hasKey = function(value) {
+    if (value instanceof Functional._Key)
+        return true;
+    if (!Functional._isPlainObject(value))
+        return false;
+    for (var name in value)
+        if (value[name] instanceof Functional._Key)
+            return true;
+    return false;
+}
+
+// Returns `value` with the properties of `keys` in place of the named
+// holes in it.  If `value` is an object, this is a copy.
+Functional._fillKeys = function(value, keys) {
+    var has = Object.prototype.hasOwnProperty;
+    if (value instanceof Functional._Key)
+        return has.call(keys, value.name) ? keys[value.name] : value;
+    if (!Functional._hasKey(value))
+        return value;
+    var result = {};
+    for (var name in value)
+        result[name] = value[name] instanceof Functional._Key
+            ? Functional._fillKeys(value[name], keys)
+            : value[name];
+    return result;
+}
+
+// Returns true if `value` is an object literal, or an object without a
+// prototype.  An object literal from another frame or `vm` context has
+// that realm's `Object.prototype`, which is recognized by having no
+// prototype itself.
+Functional._isPlainObject = function(value) {
+    if (!value || typeof value != 'object')
+        return false;
+    var proto = Object.getPrototypeOf(value);
+    return proto === null || proto === Object.prototype
+        || Object.prototype.toString.call(value) == '[object Object]'
+           && Object.getPrototypeOf(proto) === null;
+}
+
+// Sets the own property `key` of `object` to `value`.  Unlike an
+// assignment, this stores a key such as `__proto__`, that comes from
+// data, as a property instead of changing the prototype.
+Functional._setOwn = function(object, key, value) {
+    Object.defineProperty(object, key, {value:value, writable:true, enumerable:true, configurable:true});
+    return object;
+}
+
 /// ^^ Combinators
 
 /// ^^^ Combinator Functions
@@ -563,7 +2808,7 @@ Functional.I = function(x) {return x};
 /**
  * Returns a constant function that returns `x`.
  * == K(x)(y) == x
- * :: a -> b -> a
+ * :: a -> b... -> a
  * >> Functional.K(1)(2) -> 1
  */
 Functional.K = function(x) {return function() {return x}};
@@ -584,17 +2829,19 @@ Functional.constfn = Functional.K;
  * to the arguments to the composed function.  For example,
  * the following function multiples its last two arguments,
  * and adds the first to that.
- * >> Function.S('+', '_ a b -> a*b')(2,3,4) -> 14
+ * >> Functional.S('+', '_ a b -> a*b')(2,3,4) -> 14
  *
  * Curry this to get a version that takes its arguments in
  * separate calls:
- * >> Function.S.curry('+')('_ a b -> a*b')(2,3,4) -> 14
+ * >> Functional.S.curry('+')('_ a b -> a*b')(2,3,4) -> 14
+ *
+ * Unless `Functional.pure` is set, `Function.S` is a synonym.
  */
-Function.S = function(f, g) {
-    f = Function.toFunction(f);
-    g = Function.toFunction(g);
+Functional.S = function(f, g) {
+    f = Functional.toFunction(f);
+    g = Functional.toFunction(g);
     return function() {
-        return f.apply(this, [g.apply(this, arguments)].concat(Array.slice(arguments, 0)));
+        return f.apply(this, [g.apply(this, arguments)].concat(Functional._slice(arguments, 0)));
     }
 }
 
@@ -604,17 +2851,17 @@ Function.S = function(f, g) {
  * Returns a function that swaps its first two arguments before
  * passing them to the underlying function.
  * == f.flip()(a, b, c...) == f(b, a, c...)
- * :: (a b c...) -> (b a c...)
+ * :: (a b c... -> d) -> b a c... -> d
  * >> ('a/b'.lambda()).flip()(1,2) -> 2
  *
  * For more general derangements, you can also use `prefilterSlice`
  * with a string lambda:
  * >> '100*a+10*b+c'.lambda().prefilterSlice('a b c -> [b, c, a]')(1,2,3) -> 231
  */
-Function.prototype.flip = function() {
+Functional._functionMethods.flip = function() {
     var fn = this;
     return function() {
-        var args = Array.slice(arguments, 0);
+        var args = Functional._slice(arguments, 0);
         args = args.slice(1,2).concat(args.slice(0,1)).concat(args.slice(2));
         return fn.apply(this, args);
     }
@@ -625,16 +2872,16 @@ Function.prototype.flip = function() {
  * first argument, and the result of that application to the remaining
  * arguments.
  * == f.uncurry(a, b...) == f(a)(b...)
- * :: (a -> b -> c) -> (a, b) -> c
+ * :: (a -> b -> c) -> a b -> c
  * >> 'a -> b -> a/b'.lambda().uncurry()(1,2) -> 0.5
  *
  * Note that `uncurry` is *not* the inverse of `curry`.
  */
-Function.prototype.uncurry = function() {
+Functional._functionMethods.uncurry = function() {
     var fn = this;
     return function() {
-        var f1 = fn.apply(this, Array.slice(arguments, 0, 1));
-        return f1.apply(this, Array.slice(arguments, 1));
+        var f1 = fn.apply(this, Functional._slice(arguments, 0, 1));
+        return f1.apply(this, Functional._slice(arguments, 1));
     }
 }
 
@@ -653,8 +2900,8 @@ Function.prototype.uncurry = function() {
  * == fn.bind(object) == compose(fn.prefilterObject, Functional.K(object))
  * >> 'this'.lambda().prefilterObject('n+1').apply(1) -> 2
  */
-Function.prototype.prefilterObject = function(filter) {
-    filter = Function.toFunction(filter);
+Functional._functionMethods.prefilterObject = function(filter) {
+    filter = Functional.toFunction(filter);
     var fn = this;
     return function() {
         return fn.apply(filter(this), arguments);
@@ -668,11 +2915,11 @@ Function.prototype.prefilterObject = function(filter) {
  * == fn.prefilterAt(i, filter)(a1, a2, ..., a_{n}) == fn(a1, a2, ..., filter(a_{i}), ..., a_{n})
  * >> '[a,b,c]'.lambda().prefilterAt(1, '2*')(2,3,4) -> [2, 6, 4]
  */
-Function.prototype.prefilterAt = function(index, filter) {
-    filter = Function.toFunction(filter);
+Functional._functionMethods.prefilterAt = function(index, filter) {
+    filter = Functional.toFunction(filter);
     var fn = this;
     return function() {
-        var args = Array.slice(arguments, 0);
+        var args = Functional._slice(arguments, 0);
         args[index] = filter.call(this, args[index]);
         return fn.apply(this, args);
     }
@@ -688,12 +2935,12 @@ Function.prototype.prefilterAt = function(index, filter) {
  * >> '[a,b]'.lambda().prefilterSlice('[a+b]', 1)(1,2,3) -> [1, 5]
  * >> '[a]'.lambda().prefilterSlice(compose('[_]', Math.max))(1,2,3) -> [3]
  */
-Function.prototype.prefilterSlice = function(filter, start, end) {
-    filter = Function.toFunction(filter);
+Functional._functionMethods.prefilterSlice = function(filter, start, end) {
+    filter = Functional.toFunction(filter);
     start = start || 0;
     var fn = this;
     return function() {
-        var args = Array.slice(arguments, 0);
+        var args = Functional._slice(arguments, 0);
         var e = end < 0 ? args.length + end : end || args.length;
         args.splice.apply(args, [start, (e||args.length)-start].concat(filter.apply(this, args.slice(start, e))));
         return fn.apply(this, args);
@@ -713,9 +2960,9 @@ Function.prototype.prefilterSlice = function(filter, start, end) {
  * == Functional.compose(f, g) == f.compose(g)
  * == Functional.compose(f, g, h) == f.compose(g).compose(h)
  */
-Function.prototype.compose = function(fn) {
+Functional._functionMethods.compose = function(fn) {
     var self = this;
-    fn = Function.toFunction(fn);
+    fn = Functional.toFunction(fn);
     return function() {
         return self.apply(this, [fn.apply(this, arguments)]);
     }
@@ -733,9 +2980,9 @@ Function.prototype.compose = function(fn) {
  * == Functional.sequence(f, g) == f.sequence(g)
  * == Functional.sequence(f, g, h) == f.sequence(g).sequence(h)
  */
-Function.prototype.sequence = function(fn) {
+Functional._functionMethods.sequence = function(fn) {
     var self = this;
-    fn = Function.toFunction(fn);
+    fn = Functional.toFunction(fn);
     return function() {
         return fn.apply(this, [self.apply(this, arguments)]);
     }
@@ -760,43 +3007,498 @@ Function.prototype.sequence = function(fn) {
  * >> '/'.lambda().guard('p q -> q', Functional.K('n/a'))(1, 2) -> 0.5
  * >> '/'.lambda().guard('p q -> q', Functional.K('n/a'))(1, 0) -> "n/a"
  * >> '/'.lambda().guard('p q -> q', '-> "n/a"')(1, 0) -> "n/a"
+ *
+ * `Functional.cond` and `Functional.match` choose among more than two
+ * functions.
+ *
+ * `Functional.Maybe` and `composeM` carry a missing value through a
+ * longer pipeline without a `guard` at each step:
+ * >> var wrapY = Functional.composeM('[_]', 'x.y', Functional.Maybe.of)
+ * >> wrapY({y: 1}).getOrElse(null) -> [1]
+ * >> wrapY(null).getOrElse(null) -> null
  */
-Function.prototype.guard = function(guard, otherwise) {
+Functional._functionMethods.guard = function(guard, otherwise) {
     var fn = this;
-    guard = Function.toFunction(guard || Functional.I);
-    otherwise = Function.toFunction(otherwise || Functional.I);
+    guard = Functional.toFunction(guard || Functional.I);
+    otherwise = Functional.toFunction(otherwise || Functional.I);
     return function() {
         return (guard.apply(this, arguments) ? fn : otherwise).apply(this, arguments);
     }
 }
 
-/// ^^ Utilities
+/// ^^ Exceptions
+
+/**
+ * These methods handle the exceptions that a function throws.  If the
+ * function returns a promise instead, they handle its rejection, and
+ * return a promise.  Since they return functions, they can handle the
+ * exceptions of any stage of a `compose` or `sequence`:
+ * >> var parse = 'JSON.parse(s)'.lambda().rescue(Functional.K({}))
+ * >> sequence(parse, 'x.a')('{"a": 1}') -> 1
+ * >> sequence(parse, 'x.a')('{bad') -> undefined
+ */
+
+/**
+ * Returns a function that calls this function, and, if that throws an
+ * error, returns the value of `handler` applied to the error and the
+ * original arguments instead.
+ * == f.rescue(h)(args...) == h(error, args...), when f(args...) throws error
+ * >> 'x.y.z'.lambda().rescue('e x -> [e.name, x]')(1) -> ["TypeError", 1]
+ * >> Functional.rescue('x+1', '-> 0')(1) -> 2
+ */
+Functional._functionMethods.rescue = function(handler) {
+    var fn = this;
+    handler = Functional.toFunction(handler);
+    return function() {
+        var self = this, args = Functional._slice(arguments, 0);
+        function rescue(error) {
+            return handler.apply(self, [error].concat(args));
+        }
+        try {
+            var result = fn.apply(this, args);
+        } catch (error) {
+            return rescue(error);
+        }
+        return Functional._isThenable(result) ? result.then(null, rescue) : result;
+    }
+}
+
+/**
+ * Returns a function that calls this function, and returns `{ok: true,
+ * value}` with its value, or `{ok: false, error}` with the error that it
+ * threw.
+ * >> 'x.y.z'.lambda().attempt()({y: {z: 1}}) -> {ok: true, value: 1, error: undefined}
+ * >> 'x.y.z'.lambda().attempt()(1).ok -> false
+ */
+Functional._functionMethods.attempt = function() {
+    var fn = this;
+    return function() {
+        try {
+            var result = fn.apply(this, arguments);
+        } catch (error) {
+            return {ok:false, value:undefined, error:error};
+        }
+        return Functional._isThenable(result)
+            ? result.then(function(value) {
+                return {ok:true, value:value, error:undefined};
+            }, function(error) {
+                return {ok:false, value:undefined, error:error};
+            })
+            : {ok:true, value:result, error:undefined};
+    }
+}
+
+/**
+ * Returns a function that calls this function, and then calls `cleanup`
+ * with the same arguments, whether or not this function threw an error.
+ * It returns this function's value, or throws its error.
+ * >> var log = []
+ * >> var load = 'x.y'.lambda().ensure('x -> log.push("done")')
+ * >> [load({y: 1}), log] -> [1, ["done"]]
+ * >> load(null) -> error
+ * >> log -> ["done", "done"]
+ */
+Functional._functionMethods.ensure = function(cleanup) {
+    var fn = this;
+    cleanup = Functional.toFunction(cleanup);
+    return function() {
+        var self = this, args = arguments, result;
+        try {
+            result = fn.apply(this, args);
+        } catch (error) {
+            cleanup.apply(this, args);
+            throw error;
+        }
+        if (!Functional._isThenable(result)) {
+            cleanup.apply(this, args);
+            return result;
+        }
+        return result.then(function(value) {
+            cleanup.apply(self, args);
+            return value;
+        }, function(error) {
+            cleanup.apply(self, args);
+            throw error;
+        });
+    }
+}
+
+/**
+ * Returns a function that calls this function up to `n` times, until it
+ * doesn't throw an error, and returns its value, or throws the last
+ * error.
+ * >> var tries = 0
+ * >> var flaky = function() { if (++tries < 3) throw new Error('busy'); return tries }
+ * >> flaky.retry(3)() -> 3
+ * >> tries = 0; flaky.retry(2)() -> error
+ *
+ * `backoff` is the number of milliseconds to wait before each retry, or
+ * a function (or string lambda) from the number of failed calls so far
+ * to the number of milliseconds.  If there is a `backoff`, the function
+ * always returns a promise, even if the first call succeeds; it does too
+ * if this function returns a promise.  The waiting uses `options.clock`,
+ * as `debounce` does.
+ * >> Functional.K(5).retry(3, 100)() instanceof Promise -> true
+ * >> var clock = new Functional.ManualClock()
+ * >> tries = 0; var result = flaky.retry(3, 'n -> 100 * n', {clock: clock})()
+ * >> clock.tick(100)
+ * >> clock.tick(200); result -> 3
+ */
+Functional._functionMethods.retry = function(n, backoff, options) {
+    var fn = this,
+        clock = options && options.clock || Functional.clock;
+    if (backoff != null && typeof backoff != 'number')
+        backoff = Functional.toFunction(backoff);
+    function wait(failures) {
+        var ms = typeof backoff == 'function' ? backoff(failures) : backoff;
+        return new Promise(function(resolve) {
+            clock.setTimeout(resolve, ms);
+        });
+    }
+    return function() {
+        var self = this, args = arguments;
+        function call(failures) {
+            try {
+                var result = fn.apply(self, args);
+            } catch (error) {
+                if (failures + 1 >= n)
+                    throw error;
+                return backoff == null
+                    ? call(failures + 1)
+                    : wait(failures + 1).then(function() { return call(failures + 1); });
+            }
+            return Functional._isThenable(result)
+                ? result.then(null, function(error) {
+                    if (failures + 1 >= n)
+                        throw error;
+                    return (backoff == null ? Promise.resolve() : wait(failures + 1)).then(function() {
+                        return call(failures + 1);
+                    });
+                })
+                : result;
+        }
+        return backoff == null ? call(0) : new Promise(function(resolve) {
+            resolve(call(0));
+        });
+    }
+}
+
+/// ^^ Call control
+
+/**
+ * `debounce`, `throttle` and `delay` read the time from a clock: an
+ * object with `now()`, `setTimeout(fn, ms)` and `clearTimeout(id)`
+ * methods.  `options.clock` is the clock, and `Functional.clock`, which
+ * uses `Date.now` and the global timers, is the default.  A
+ * `Functional.ManualClock` only moves when it's told to, so that tests
+ * don't wait for real time:
+ * >> var clock = new Functional.ManualClock()
+ * >> var calls = []
+ * >> var save = Functional.debounce(function(x) { calls.push(x) }, 100, {clock: clock})
+ * >> save(1); save(2); clock.tick(50); save(3); clock.tick(99); calls -> []
+ * >> clock.tick(1); calls -> [3]
+ */
+Functional.clock = {
+    now: function() {
+        return Date.now();
+    },
+    setTimeout: function(fn, ms) {
+        return setTimeout(fn, ms);
+    },
+    clearTimeout: function(id) {
+        clearTimeout(id);
+    }
+};
+
+/**
+ * A clock whose time starts at `now` (or 0), and only changes when
+ * `tick(ms)` advances it, running the timers that come due, in order.
+ * >> var clock = new Functional.ManualClock(), log = []
+ * >> clock.setTimeout(function() { log.push(clock.now()) }, 20)
+ * >> clock.setTimeout(function() { log.push(clock.now()) }, 10)
+ * >> clock.tick(15); log -> [10]
+ * >> clock.tick(15); [log, clock.now()] -> [[10, 20], 30]
+ */
+Functional.ManualClock = function(now) {
+    this.time = now || 0;
+    this.timers = [];
+    this.nextId = 1;
+}
+
+Functional.ManualClock.prototype = {
+    now: function() {
+        return this.time;
+    },
+
+    setTimeout: function(fn, ms) {
+        var id = this.nextId++;
+        this.timers.push({id:id, time:this.time + (ms || 0), fn:fn});
+        return id;
+    },
+
+    clearTimeout: function(id) {
+        this.timers = this.timers.filter(function(timer) {
+            return timer.id != id;
+        });
+    },
+
+    /// Advances the time by `ms`, and runs the timers that come due,
+    /// including the ones that they set.
+    tick: function(ms) {
+        var end = this.time + ms;
+        for (var timer; (timer = this.nextTimer(end)); ) {
+            this.clearTimeout(timer.id);
+            this.time = timer.time;
+            timer.fn();
+        }
+        this.time = end;
+        return this;
+    },
+
+    // Returns the first timer that's due by `time`, or null.
+    nextTimer: function(time) {
+        var next = null;
+        this.timers.forEach(function(timer) {
+            if (timer.time <= time && (!next || timer.time < next.time))
+                next = timer;
+        });
+        return next;
+    }
+}
+
+/**
+ * Returns a function that waits until it hasn't been called for `wait`
+ * milliseconds, and then calls this function with the arguments of the
+ * last call.  If `options.leading` is true, it also calls this function
+ * at the first call after such a pause; if `options.trailing` is false,
+ * it doesn't call it at the end of one.  It returns the result of the
+ * last call to this function, and its `cancel()` method cancels a
+ * pending call.
+ * >> var calls = [], clock = new Functional.ManualClock()
+ * >> var resize = Functional.debounce('x -> calls.push(x)', 10, {clock: clock, leading: true})
+ * >> resize(1); resize(2); resize(3); calls -> [1]
+ * >> clock.tick(10); calls -> [1, 3]
+ */
+Functional._functionMethods.debounce = function(wait, options) {
+    options = options || {};
+    var fn = this,
+        clock = options.clock || Functional.clock,
+        leading = !!options.leading,
+        trailing = options.trailing !== false,
+        timer = null, pending = null, result;
+    var debounced = function() {
+        var idle = timer === null;
+        idle || clock.clearTimeout(timer);
+        timer = clock.setTimeout(function() {
+            var call = pending;
+            timer = pending = null;
+            if (call && trailing)
+                result = fn.apply(call.self, call.args);
+        }, wait);
+        if (idle && leading)
+            result = fn.apply(this, arguments);
+        else
+            pending = {self:this, args:arguments};
+        return result;
+    };
+    debounced.cancel = function() {
+        timer === null || clock.clearTimeout(timer);
+        timer = pending = null;
+    };
+    return debounced;
+}
 
 /**
- * Returns a function identical to this function except that
- * it prints its arguments on entry and its return value on exit.
- * This is useful for debugging function-level programs.
+ * Returns a function that calls this function at most once every `wait`
+ * milliseconds.  By default, the first call calls this function
+ * immediately, and the last call during the wait calls it when the wait
+ * is over; `options.leading` and `options.trailing` turn these off.  It
+ * returns the result of the last call to this function, and its
+ * `cancel()` method cancels a pending call.
+ * >> var calls = [], clock = new Functional.ManualClock()
+ * >> var scroll = Functional.throttle('x -> calls.push(x)', 10, {clock: clock})
+ * >> scroll(1); scroll(2); scroll(3); calls -> [1]
+ * >> clock.tick(10); scroll(4); calls -> [1, 3]
+ * >> clock.tick(10); calls -> [1, 3, 4]
  */
-Function.prototype.traced = function(name) {
-    var self   = this,
-        global = (function() { return this; })(),
-        log    = function() {};
+Functional._functionMethods.throttle = function(wait, options) {
+    options = options || {};
+    var fn = this,
+        clock = options.clock || Functional.clock,
+        leading = options.leading !== false,
+        trailing = options.trailing !== false,
+        timer = null, pending = null, result;
+    function expire() {
+        var call = pending;
+        timer = pending = null;
+        if (call && trailing) {
+            result = fn.apply(call.self, call.args);
+            timer = clock.setTimeout(expire, wait);
+        }
+    }
+    var throttled = function() {
+        if (timer === null && leading)
+            result = fn.apply(this, arguments);
+        else
+            pending = {self:this, args:arguments};
+        if (timer === null)
+            timer = clock.setTimeout(expire, wait);
+        return result;
+    };
+    throttled.cancel = function() {
+        timer === null || clock.clearTimeout(timer);
+        timer = pending = null;
+    };
+    return throttled;
+}
 
-    if (typeof console != 'undefined' && typeof console.info == 'function') {
-      log = console.info;
-    } else if (typeof print == 'function') {
-      log = print;
+/**
+ * Returns a function that calls this function `wait` milliseconds
+ * later, and returns a promise of its result.
+ * >> var clock = new Functional.ManualClock()
+ * >> var later = '+1'.lambda().delay(10, {clock: clock})(1)
+ * >> clock.tick(10); later -> 2
+ */
+Functional._functionMethods.delay = function(wait, options) {
+    var fn = this,
+        clock = options && options.clock || Functional.clock;
+    return function() {
+        var self = this, args = arguments;
+        return new Promise(function(resolve, reject) {
+            clock.setTimeout(function() {
+                try {
+                    resolve(fn.apply(self, args));
+                } catch (e) {
+                    reject(e);
+                }
+            }, wait);
+        });
     }
+}
+
+/**
+ * Returns a function that calls this function the first time that it's
+ * called, and returns the same result after that.
+ * == f.once() == f.before(2)
+ * >> var count = 0, init = Functional.once(function() { return ++count })
+ * >> [init(), init(), count] -> [1, 1, 1]
+ */
+Functional._functionMethods.once = function() {
+    return Functional._functionMethods.before.call(this, 2);
+}
 
-    name = name || self;
+/**
+ * Returns a function that calls this function while it's been called
+ * fewer than `n` times, and returns the result of the last such call
+ * after that.
+ * >> var next = 'x*2'.lambda().before(3)
+ * >> [next(1), next(2), next(3)] -> [2, 4, 4]
+ */
+Functional._functionMethods.before = function(n) {
+    var fn = this, calls = 0, result;
     return function() {
-        log('[', name, 'apply(', this!=global && this, ',', arguments, ')');
-        var result = self.apply(this, arguments);
-        log(']', name, ' -> ', result);
+        if (++calls < n)
+            result = fn.apply(this, arguments);
         return result;
     }
 }
 
+/**
+ * Returns a function that only calls this function from the `n`th time
+ * that it's called.
+ * >> var done = 'x*2'.lambda().after(2)
+ * >> [done(1), done(2), done(3)] -> [undefined, 4, 6]
+ */
+Functional._functionMethods.after = function(n) {
+    var fn = this, calls = 0;
+    return function() {
+        if (++calls >= n)
+            return fn.apply(this, arguments);
+    }
+}
+
+/// ^^ Memoization
+
+/**
+ * Returns a function that caches this function's results, so that it
+ * calls this function only once for each key.  The key is the first
+ * argument, unless `options.key` is a function (or a string lambda) that
+ * computes it from the arguments.  Both functions are called with the
+ * `this` of the call, so a key can include it.
+ * >> var calls = 0
+ * >> var square = Functional.memoize(function(x) { calls++; return x*x })
+ * >> [square(3), square(3), calls] -> [9, 9, 1]
+ * >> var add = 'x y -> x + y'.lambda().memoize({key: 'x y -> x + "," + y'})
+ * >> [add(1, 2), add(1, 3)] -> [3, 4]
+ * >> Functional.memoize('x*x')(4) -> 16
+ *
+ * `options.cache` holds the results.  It's a `Map` by default, but it
+ * can be anything with the same `get`, `set`, `has` and `delete` methods,
+ * such as a `WeakMap`, which doesn't keep its object keys alive, or a
+ * `Functional.LRUCache`.  `options.max` is a shorthand for an
+ * `LRUCache` with that many entries.
+ * >> var lengths = Functional.memoize('xs.length', {cache: new WeakMap})
+ * >> lengths([1, 2]) -> 2
+ * >> var twice = Functional.memoize('2*x', {max: 2})
+ * >> twice(1) + twice(2) + twice(3) -> 12
+ * >> twice.cache.entries() -> [[2, 4], [3, 6]]
+ *
+ * If `options.ttl` is a number of milliseconds, each result expires that
+ * long after it's computed, by `options.clock` (see `debounce`).
+ * >> var tick = Functional.memoize(function() { return ++calls }, {ttl: 0})
+ * >> tick() == tick() -> false
+ *
+ * The returned function's `cache` property is its cache.  Its `delete(key)`
+ * method forgets the result for `key`, and its `clear()` method forgets
+ * every result.
+ * >> square['delete'](3)
+ * >> calls = 0
+ * >> [square(3), calls] -> [9, 1]
+ */
+Functional._functionMethods.memoize = function(options) {
+    options = options || {};
+    var fn = this,
+        key = options.key ? Functional.toFunction(options.key) : function(x) { return x },
+        ttl = options.ttl,
+        clock = options.clock || Functional.clock,
+        cache = options.cache
+            || (options.max != null ? new Functional.LRUCache({max: options.max}) : new Map);
+    var memoized = function() {
+        var k = key.apply(this, arguments),
+            entry = cache.get(k);
+        if ((entry !== undefined || cache.has(k))
+            && (ttl == null || clock.now() < entry.expires))
+            return ttl == null ? entry : entry.value;
+        var value = fn.apply(this, arguments);
+        cache.set(k, ttl == null ? value : {value: value, expires: clock.now() + ttl});
+        return value;
+    };
+    Object.defineProperty(memoized, 'length', {value: fn.length});
+    memoized.cache = cache;
+    memoized['delete'] = function(key) {
+        return cache['delete'](key);
+    };
+    memoized.clear = function() {
+        // A `WeakMap` can't be cleared, so it's replaced.
+        if (typeof cache.clear == 'function')
+            cache.clear();
+        else
+            memoized.cache = cache = new cache.constructor;
+    };
+    return memoized;
+}
+
+/// ^^ Utilities
+
+/**
+ * Returns a function identical to this function except that `tracer`,
+ * or `Functional.tracer`, records its calls, as `name`.  By default, this
+ * prints its arguments on entry and its return value on exit.  This is
+ * useful for debugging function-level programs.  See `Functional.Tracer`.
+ */
+Functional._functionMethods.traced = function(name, tracer) {
+    return (tracer || Functional.tracer).wrap(this, name);
+}
 
 /**
  * ^^ Function methods as functions
@@ -804,27 +3506,47 @@ Function.prototype.traced = function(name) {
  * In addition to the functions defined above, every method defined
  * on `Function` is also available as a function in `Functional`, that
  * coerces its first argument to a `Function` and applies
- * the remaining arguments to this.
+ * the remaining arguments to this.  This is how to call them if
+ * `Functional.pure` is set.
  *
  * A few examples make this clearer:
  * == curry(fn, args...) == fn.curry(args...)
  * >> Functional.flip('a/b')(1, 2) -> 2
  * >> Functional.curry('a/b', 1)(2) -> 0.5
+ * >> Functional.bind(function() {return this.x}, {x: 1})() -> 1
 
- * For each method that this file defined on Function.prototype,
+ * For each method that this file defined,
  * define a function on Functional that delegates to it.
  */
-Functional._attachMethodDelegates(Functional.__initalFunctionState.getChangedMethods());
-delete Functional.__initalFunctionState;
+Functional._attachMethodDelegates(Functional._functionMethods);
+
 
+// Returns the global object, even from strict code such as a bundled
+// module, where `this` isn't the global object.
+Functional._global = function() {
+    return typeof globalThis != 'undefined' ? globalThis : (function() { return this; })();
+}
 
 // In case to-function.js isn't loaded.
-Function.toFunction = Function.toFunction || Functional.K;
+Functional.toFunction = Functional.toFunction || Functional.I;
 
-if (!Array.slice) { // mozilla already supports this
-    Array.slice = (function(slice) {
-        return function(object) {
-            return slice.apply(object, slice.call(arguments, 1));
-        };
-    })(Array.prototype.slice);
-}
+// `Array.slice`, which mozilla already supports, for the other browsers.
+Functional._slice = (function(slice) {
+    return function(object) {
+        return slice.apply(object, slice.call(arguments, 1));
+    };
+})(Array.prototype.slice);
+
+// Unless `Functional.pure` is set, define the methods above on every
+// function, and the globals that this file has always defined.
+Functional.pure || (function() {
+    var methods = Functional._functionMethods;
+    for (var name in methods)
+        Function.prototype[name] = methods[name];
+    var global = Functional._global();
+    '_' in global || (global._ = Functional._);
+    Function._ = Functional._;
+    Function.S = Functional.S;
+    Function.toFunction = Function.toFunction || Functional.toFunction;
+    Array.slice = Array.slice || Functional._slice;
+})();
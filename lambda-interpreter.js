@@ -0,0 +1,862 @@
+/*
+ * License: MIT License
+ * Homepage: http://osteele.com/javascripts/functional
+ * Created: 2026-10-19
+ *
+ *
+ * This defines an interpreter for string lambdas, so that they can be
+ * used on pages whose Content-Security-Policy forbids `eval` and
+ * `new Function`.  It requires to-function.js.
+ */
+
+var Functional = this.Functional || {};
+
+/// ^ Lambdas without eval
+
+/**
+ * Turns on the string lambda interpreter.  From then on, `lambda` and
+ * `toFunction` parse the string and return a function that evaluates
+ * the parsed expression, instead of compiling it with `new Function`.
+ * `Functional.interpretLambdas(false)` turns the interpreter off again.
+ *
+ * The interpreter understands the expressions that string lambdas are
+ * made of: literals (including template, regular expression, array and
+ * object literals), variables, operators and assignments, member access,
+ * calls, `new`, conditionals, and sections and chained `->`s.  It also
+ * understands arrow functions, and function literals whose bodies consist
+ * of expression statements followed by a `return`.  Other statements, and
+ * classes, getters, setters and generators, are a `LambdaSyntaxError`.
+ * >> Functional.interpretLambdas()
+ * >> 'x -> y -> x + 2*y'.lambda()(1)(2) -> 5
+ * >> map('[_, {n: _ * 2}.n]', [1, 2]) -> [[1, 2], [2, 4]]
+ * >> 'xs.map(x => x > 1 ? `big ${x}` : "small")'.lambda()([1, 2]) -> ["small", "big 2"]
+ * >> 'return 1'.toFunction()(1) -> 1
+ * >> '{x, y = 2}, ...rest -> x + y + rest.length'.lambda()({x: 1}, 0) -> 4
+ * >> Functional.interpretLambdas(false)
+ *
+ * The functions that the interpreter returns behave like the compiled
+ * ones, except that they are slower, and that a JavaScript debugger steps
+ * through the interpreter rather than through the lambda.
+ */
+Functional.interpretLambdas = function(enable) {
+    Functional._lambdaInterpreter = enable === false ? null : Functional._interpretFunction;
+}
+
+// ^^ Parsing
+
+/*
+ * Returns a function that takes `params` and runs the statements in
+ * `body`, as `new Function(params, body)` does, without eval.  Throws a
+ * `SyntaxError` if `body` uses something that the interpreter doesn't
+ * support.
+ */
+Functional._interpretFunction = function(params, body) {
+    try {
+        var parser = new Functional._LambdaParser('(' + params + ')');
+        params = parser.params();
+        parser.token() && parser.unexpected();
+        var statements = Functional._parseLambdaBody(body);
+    } catch (e) {
+        // A `position` in `params` or `body` isn't a position in the
+        // string lambda.
+        delete e.position;
+        throw e;
+    }
+    return Functional._lambdaClosure({type:'function', params:params.params, rest:params.rest,
+                                      body:statements}, null);
+}
+
+/*
+ * Parses `source`, the body of a function, into a list of statements.
+ * Each statement is an expression node, or a `{type:'return'}` node with
+ * an optional `argument`.
+ */
+Functional._parseLambdaBody = function(source) {
+    var parser = new Functional._LambdaParser(source),
+        statements = parser.statements();
+    parser.token() && parser.unexpected();
+    return statements;
+}
+
+// Binary operators, by precedence.
+Functional._lambdaBinaryPrecedence = {
+    '??':1, '||':2, '&&':3, '|':4, '^':5, '&':6,
+    '==':7, '!=':7, '===':7, '!==':7,
+    '<':8, '>':8, '<=':8, '>=':8, 'instanceof':8, 'in':8,
+    '<<':9, '>>':9, '>>>':9, '+':10, '-':10, '*':11, '/':11, '%':11, '**':12
+};
+
+Functional._lambdaAssignmentOperators = /^(?:=|\+=|-=|\*=|\/=|%=|\*\*=|<<=|>>=|>>>=|&=|\|=|\^=|&&=|\|\|=|\?\?=)$/;
+
+// A recursive-descent parser for the tokens of `source`.  Each method
+// parses one production, and returns its node.
+Functional._LambdaParser = function(source) {
+    this.source = source;
+    this.tokens = Functional._tokenizeLambda(source);
+    this.brackets = Functional._matchLambdaBrackets(this.tokens);
+    this.index = 0;
+}
+
+Functional._LambdaParser.prototype = {
+    token: function(offset) {
+        return this.tokens[this.index + (offset || 0)];
+    },
+
+    is: function(text, offset) {
+        var token = this.token(offset);
+        return !!token && token.text == text && token.type != 'string';
+    },
+
+    next: function() {
+        return this.tokens[this.index++];
+    },
+
+    expect: function(text) {
+        this.is(text) || this.unexpected();
+        return this.next();
+    },
+
+    unexpected: function(message) {
+        var token = this.token();
+        throw new SyntaxError(message || (token ? "Unexpected token '" + token.text + "'"
+                                          : 'Unexpected end of input'));
+    },
+
+    unsupported: function(what) {
+        throw new SyntaxError("Can't interpret " + what + ' without eval');
+    },
+
+    // Does a line break precede the current token?
+    newline: function() {
+        var prev = this.token(-1), token = this.token();
+        return !!prev && !!token
+            && /[\n\r\u2028\u2029]/.test(this.source.slice(prev.pos + prev.text.length, token.pos));
+    },
+
+    statements: function() {
+        var statements = [];
+        while (this.token() && !this.is('}')) {
+            if (this.is(';')) {
+                this.next();
+                continue;
+            }
+            var token = this.token();
+            if (token.type == 'name' && token.text == 'return') {
+                this.next();
+                var argument = this.token() && !this.is(';') && !this.is('}') && !this.newline()
+                    ? this.expression() : null;
+                statements.push({type:'return', argument:argument});
+            } else if (token.type == 'name' && Functional._lambdaReservedWords['#' + token.text]
+                       && !/^(?:this|null|true|false|undefined|typeof|void|delete|new|function|arguments|super)$/.test(token.text)) {
+                this.unsupported("'" + token.text + "'");
+            } else {
+                statements.push(this.expression());
+            }
+            this.token() && !this.is(';') && !this.is('}') && !this.newline() && this.unexpected();
+        }
+        return statements;
+    },
+
+    expression: function() {
+        var expression = this.assignment();
+        if (!this.is(',')) return expression;
+        var expressions = [expression];
+        while (this.is(',')) {
+            this.next();
+            expressions.push(this.assignment());
+        }
+        return {type:'sequence', expressions:expressions};
+    },
+
+    assignment: function() {
+        var token = this.token();
+        if (token && token.type == 'name' && this.is('=>', 1))
+            return this.arrow();
+        if (this.is('(') && this.brackets.match[this.index] != null
+            && this.tokens[this.brackets.match[this.index] + 1]
+            && this.tokens[this.brackets.match[this.index] + 1].text == '=>')
+            return this.arrow();
+        if (token && token.text == 'async' && (this.is('function', 1) || this.is('=>', 2)))
+            this.unsupported('async functions');
+        var target = this.conditional();
+        token = this.token();
+        if (!token || token.type != 'punctuator' || !Functional._lambdaAssignmentOperators.test(token.text))
+            return target;
+        /^(?:identifier|member)$/.test(target.type) || this.unexpected('Invalid assignment target');
+        this.next();
+        return {type:'assign', operator:token.text, target:target, value:this.assignment()};
+    },
+
+    arrow: function() {
+        var params = this.is('(') ? this.params() : {params:[{target:this.binding(), value:null}]};
+        this.expect('=>');
+        var body = this.is('{')
+            ? this.block()
+            : [{type:'return', argument:this.assignment()}];
+        return {type:'function', arrow:true, params:params.params, rest:params.rest, body:body};
+    },
+
+    // A parenthesized parameter list.  Each parameter is a `{target,
+    // value}` element, as for `element`; the `rest` parameter is a
+    // pattern.
+    params: function() {
+        var params = [], rest = null;
+        this.expect('(');
+        while (!this.is(')')) {
+            if (this.is('...')) {
+                this.next();
+                rest = this.binding();
+                break;
+            }
+            params.push(this.element());
+            if (!this.is(',')) break;
+            this.next();
+        }
+        this.expect(')');
+        return {params:params, rest:rest};
+    },
+
+    // A pattern that a parameter binds: a `{type:'name'}` node, or an
+    // `{type:'objectPattern'}` or `{type:'arrayPattern'}` node.
+    binding: function() {
+        if (this.is('{')) return this.objectPattern();
+        if (this.is('[')) return this.arrayPattern();
+        var token = this.token();
+        if (!token || token.type != 'name' || Functional._lambdaReservedWords['#' + token.text])
+            this.unexpected(token && "Invalid parameter name '" + token.text + "'");
+        return {type:'name', name:this.next().text};
+    },
+
+    // A pattern, as its `target`, and the node of its default `value`, or
+    // null.
+    element: function() {
+        var target = this.binding();
+        if (!this.is('='))
+            return {target:target, value:null};
+        this.next();
+        return {target:target, value:this.assignment()};
+    },
+
+    // Each property is `{key, element}`, where `key` is a node.  `rest`
+    // is the name node after a `...`, or null.
+    objectPattern: function() {
+        var properties = [], rest = null;
+        this.expect('{');
+        while (!this.is('}')) {
+            if (this.is('...')) {
+                this.next();
+                if (this.is('{') || this.is('['))
+                    this.unexpected();
+                rest = this.binding();
+                break;
+            }
+            var token = this.token();
+            if (token && token.type == 'name' && !this.is(':', 1)) {
+                // `{x}` and `{x = 1}` bind `x` to the `x` property.
+                properties.push({key:{type:'literal', value:token.text}, element:this.element()});
+            } else {
+                var key = this.propertyKey();
+                this.expect(':');
+                properties.push({key:key, element:this.element()});
+            }
+            if (!this.is(',')) break;
+            this.next();
+        }
+        this.expect('}');
+        return {type:'objectPattern', properties:properties, rest:rest};
+    },
+
+    // Each element is an `element`, or null for a hole.
+    arrayPattern: function() {
+        var elements = [], rest = null;
+        this.expect('[');
+        while (!this.is(']')) {
+            if (this.is(',')) {
+                this.next();
+                elements.push(null);
+                continue;
+            }
+            if (this.is('...')) {
+                this.next();
+                rest = this.binding();
+                break;
+            }
+            elements.push(this.element());
+            if (!this.is(',')) break;
+            this.next();
+        }
+        this.expect(']');
+        return {type:'arrayPattern', elements:elements, rest:rest};
+    },
+
+    block: function() {
+        this.expect('{');
+        var statements = this.statements();
+        this.expect('}');
+        return statements;
+    },
+
+    conditional: function() {
+        var test = this.binary(0);
+        if (!this.is('?')) return test;
+        this.next();
+        var consequent = this.assignment();
+        this.expect(':');
+        return {type:'conditional', test:test, consequent:consequent,
+                alternate:this.assignment()};
+    },
+
+    // Parses binary operators whose precedence is greater than `minimum`.
+    binary: function(minimum) {
+        var left = this.unary();
+        for (;;) {
+            var token = this.token(),
+                operator = token && token.type != 'string' && token.text,
+                precedence = token && Functional._lambdaBinaryPrecedence.hasOwnProperty(operator)
+                    && Functional._lambdaBinaryPrecedence[operator];
+            if (!precedence || precedence <= minimum) return left;
+            this.next();
+            if (operator == '**' && left.type == 'unary' && !left.parenthesized)
+                this.unexpected("Unary operator used immediately before '**'");
+            // `**` is right-associative
+            var right = this.binary(operator == '**' ? precedence - 1 : precedence);
+            left = {type:/^(?:&&|\|\||\?\?)$/.test(operator) ? 'logical' : 'binary',
+                    operator:operator, left:left, right:right};
+        }
+    },
+
+    unary: function() {
+        var token = this.token();
+        if (token && (token.type == 'punctuator' && /^(?:!|~|\+|-)$/.test(token.text)
+                      || token.type == 'name' && /^(?:typeof|void|delete)$/.test(token.text))) {
+            this.next();
+            return {type:'unary', operator:token.text, argument:this.unary()};
+        }
+        if (this.is('++') || this.is('--')) {
+            this.next();
+            return {type:'update', operator:token.text, prefix:true, argument:this.unary()};
+        }
+        if (token && token.text == 'await' && token.type == 'name')
+            this.unsupported("'await'");
+        var argument = this.postfix(true);
+        if ((this.is('++') || this.is('--')) && !this.newline())
+            return {type:'update', operator:this.next().text, prefix:false, argument:argument};
+        return argument;
+    },
+
+    // Parses a member expression, followed by calls if `calls` is true.
+    postfix: function(calls) {
+        var node, optional = false;
+        if (this.is('new')) {
+            this.next();
+            var callee = this.postfix(false);
+            node = {type:'new', callee:callee, args:this.is('(') ? this.args() : []};
+        } else {
+            node = this.primary();
+        }
+        for (;;) {
+            if (this.is('.')) {
+                this.next();
+                node = {type:'member', object:node, property:this.propertyName()};
+            } else if (this.is('?.')) {
+                calls || this.unexpected();
+                this.next();
+                optional = true;
+                if (this.is('('))
+                    node = {type:'call', callee:node, args:this.args(), optional:true};
+                else if (this.is('['))
+                    node = {type:'member', object:node, property:this.computed(), optional:true};
+                else
+                    node = {type:'member', object:node, property:this.propertyName(), optional:true};
+            } else if (this.is('[')) {
+                node = {type:'member', object:node, property:this.computed()};
+            } else if (this.is('(') && calls) {
+                node = {type:'call', callee:node, args:this.args()};
+            } else if (this.token() && this.token().type == 'template'
+                       && this.token().text.charAt(0) == '`') {
+                this.unsupported('tagged templates');
+            } else {
+                break;
+            }
+        }
+        return optional ? {type:'optional', expression:node} : node;
+    },
+
+    propertyName: function() {
+        var token = this.next();
+        token && token.type == 'name' || this.unexpected();
+        return {type:'literal', value:token.text};
+    },
+
+    computed: function() {
+        this.expect('[');
+        var property = this.expression();
+        this.expect(']');
+        return property;
+    },
+
+    // A parenthesized argument list.  Each argument is a node, or a
+    // `{type:'spread'}` node.
+    args: function() {
+        var args = [];
+        this.expect('(');
+        while (!this.is(')')) {
+            args.push(this.spreadable());
+            if (!this.is(',')) break;
+            this.next();
+        }
+        this.expect(')');
+        return args;
+    },
+
+    spreadable: function() {
+        if (!this.is('...')) return this.assignment();
+        this.next();
+        return {type:'spread', argument:this.assignment()};
+    },
+
+    primary: function() {
+        var token = this.token();
+        token || this.unexpected();
+        switch (token.type) {
+        case 'number':
+            this.next();
+            var text = token.text.replace(/_/g, '');
+            return {type:'literal', value:/n$/.test(text) ? BigInt(text.slice(0, -1)) : Number(text)};
+        case 'string':
+            this.next();
+            return {type:'literal', value:Functional._unescapeLambdaString(token.text.slice(1, -1))};
+        case 'regexp':
+            this.next();
+            var slash = token.text.lastIndexOf('/');
+            return {type:'regexp', pattern:token.text.slice(1, slash), flags:token.text.slice(slash + 1)};
+        case 'template':
+            return this.template();
+        case 'name':
+            switch (token.text) {
+            case 'this':
+                this.next();
+                return {type:'this'};
+            case 'function':
+                return this.functionLiteral();
+            case 'class':
+                this.unsupported('classes');
+            }
+            if (Functional._lambdaReservedWords['#' + token.text]
+                && !/^(?:null|true|false|undefined|arguments)$/.test(token.text))
+                this.unexpected();
+            this.next();
+            switch (token.text) {
+            case 'null': return {type:'literal', value:null};
+            case 'true': return {type:'literal', value:true};
+            case 'false': return {type:'literal', value:false};
+            }
+            return {type:'identifier', name:token.text};
+        }
+        switch (token.text) {
+        case '(':
+            this.next();
+            var expression = this.expression();
+            this.expect(')');
+            expression.parenthesized = true;
+            return expression;
+        case '[':
+            return this.array();
+        case '{':
+            return this.object();
+        }
+        this.unexpected();
+    },
+
+    template: function() {
+        var token = this.next(),
+            quasis = [],
+            expressions = [];
+        for (;;) {
+            var text = token.text,
+                open = /\$\{$/.test(text);
+            quasis.push(Functional._unescapeLambdaString(text.slice(1, open ? -2 : -1)));
+            if (!open) break;
+            expressions.push(this.expression());
+            token = this.next();
+            token && token.type == 'template' && token.text.charAt(0) == '}' || this.unexpected();
+        }
+        return {type:'template', quasis:quasis, expressions:expressions};
+    },
+
+    functionLiteral: function() {
+        this.expect('function');
+        this.is('*') && this.unsupported('generators');
+        var name = this.token().type == 'name' && !this.is('(') ? this.next().text : null,
+            params = this.params();
+        return {type:'function', name:name, params:params.params, rest:params.rest,
+                body:this.block()};
+    },
+
+    array: function() {
+        var elements = [];
+        this.expect('[');
+        while (!this.is(']')) {
+            if (this.is(',')) {
+                this.next();
+                elements.push(null);
+                continue;
+            }
+            elements.push(this.spreadable());
+            if (!this.is(',')) break;
+            this.next();
+        }
+        this.expect(']');
+        return {type:'array', elements:elements};
+    },
+
+    // Each property is `{key, value}`, where `key` is a node; or a
+    // `{type:'spread'}` node.
+    object: function() {
+        var properties = [];
+        this.expect('{');
+        while (!this.is('}')) {
+            if (this.is('...')) {
+                properties.push(this.spreadable());
+            } else {
+                var token = this.token(),
+                    key = this.propertyKey();
+                if (this.is(':')) {
+                    this.next();
+                    properties.push({key:key, value:this.assignment()});
+                } else if (token.type == 'name' && (this.is(',') || this.is('}'))) {
+                    properties.push({key:key, value:{type:'identifier', name:token.text}});
+                } else {
+                    this.unsupported('methods, getters and setters');
+                }
+            }
+            if (!this.is(',')) break;
+            this.next();
+        }
+        this.expect('}');
+        return {type:'object', properties:properties};
+    },
+
+    // The key of a property of an object literal or pattern: a name,
+    // string or number, as a literal node, or a computed key's node.
+    propertyKey: function() {
+        var token = this.token();
+        if (this.is('['))
+            return this.computed();
+        if (token && token.type == 'name')
+            return {type:'literal', value:this.next().text};
+        if (token && token.type == 'string')
+            return {type:'literal', value:Functional._unescapeLambdaString(this.next().text.slice(1, -1))};
+        if (token && token.type == 'number')
+            return {type:'literal', value:String(Number(this.next().text.replace(/_/g, '')))};
+        this.unexpected();
+    }
+}
+
+// Returns the value of a string literal's contents, such as `a\tb`.
+Functional._unescapeLambdaString = function(text) {
+    var escapes = {b:'\b', f:'\f', n:'\n', r:'\r', t:'\t', v:'\v'};
+    return text.replace(/\\(?:u\{([\da-fA-F]+)\}|u([\da-fA-F]{4})|x([\da-fA-F]{2})|(\r\n|[\s\S]))/g,
+                        function(_, point, unit, hex, c) {
+        if (point) return String.fromCodePoint(parseInt(point, 16));
+        if (unit || hex) return String.fromCharCode(parseInt(unit || hex, 16));
+        if (c == '0') return '\0';
+        if (/^(?:\r\n|[\r\n\u2028\u2029])$/.test(c)) return ''; // line continuation
+        return escapes.hasOwnProperty(c) ? escapes[c] : c;
+    });
+}
+
+// ^^ Evaluation
+
+// The global object, which holds the variables that aren't parameters.
+Functional._lambdaGlobal = typeof globalThis != 'undefined'
+    ? globalThis : (function() { return this; })();
+
+// The value of an optional chain such as `a?.b.c` when `a` is null.
+Functional._lambdaShortCircuit = {};
+
+/*
+ * Returns a function for the function `node`, whose free variables are
+ * looked up in `scope`.  A scope has a `names` table (whose keys are
+ * prefixed with '#'), a `parent` scope, and the `self` and `args` that
+ * `this` and `arguments` refer to.  The null scope is the global scope.
+ */
+Functional._lambdaClosure = function(node, scope) {
+    var fn = function() {
+        var frame = {names:{}, parent:scope,
+                     self:node.arrow ? scope && scope.self : this,
+                     args:node.arrow ? scope && scope.args : arguments},
+            params = node.params;
+        node.name && (frame.names['#' + node.name] = fn);
+        for (var i = 0; i < params.length; i++)
+            Functional._bindLambdaElement(params[i], arguments[i], frame);
+        if (node.rest)
+            Functional._bindLambdaPattern(node.rest, Array.prototype.slice.call(arguments, params.length), frame);
+        return Functional._runLambdaStatements(node.body, frame);
+    };
+    // As for a function literal, the parameters from the first one with a
+    // default value on don't count.
+    for (var length = 0; length < node.params.length && !node.params[length].value; length++)
+        ;
+    Object.defineProperty(fn, 'length', {value:length});
+    return fn;
+}
+
+// Binds the names in the pattern of `element` to `value`, or to its
+// default value if `value` is undefined, in `scope`.
+Functional._bindLambdaElement = function(element, value, scope) {
+    if (value === undefined && element.value)
+        value = Functional._evaluateLambda(element.value, scope);
+    Functional._bindLambdaPattern(element.target, value, scope);
+}
+
+// Binds the names in `pattern` to the parts of `value`, in `scope`.
+Functional._bindLambdaPattern = function(pattern, value, scope) {
+    switch (pattern.type) {
+    case 'name':
+        scope.names['#' + pattern.name] = value;
+        return;
+    case 'objectPattern':
+        if (value == null)
+            throw new TypeError("Cannot destructure '" + value + "' as it is " + value + '.');
+        var used = {};
+        for (var i = 0; i < pattern.properties.length; i++) {
+            var property = pattern.properties[i],
+                key = String(Functional._evaluateLambda(property.key, scope));
+            used['#' + key] = true;
+            Functional._bindLambdaElement(property.element, value[key], scope);
+        }
+        if (pattern.rest) {
+            var rest = {};
+            for (var key in Object(value))
+                if (Object.prototype.hasOwnProperty.call(value, key) && !used['#' + key])
+                    rest[key] = value[key];
+            Functional._bindLambdaPattern(pattern.rest, rest, scope);
+        }
+        return;
+    case 'arrayPattern':
+        var values = Array.from(value);
+        for (var i = 0; i < pattern.elements.length; i++)
+            pattern.elements[i] && Functional._bindLambdaElement(pattern.elements[i], values[i], scope);
+        pattern.rest && Functional._bindLambdaPattern(pattern.rest, values.slice(pattern.elements.length), scope);
+    }
+}
+
+Functional._runLambdaStatements = function(statements, scope) {
+    for (var i = 0; i < statements.length; i++) {
+        var statement = statements[i];
+        if (statement.type == 'return')
+            return statement.argument ? Functional._evaluateLambda(statement.argument, scope) : undefined;
+        Functional._evaluateLambda(statement, scope);
+    }
+}
+
+// Returns the value of the expression `node` in `scope`.
+Functional._evaluateLambda = function(node, scope) {
+    var evaluate = Functional._evaluateLambda;
+    switch (node.type) {
+    case 'literal':
+        return node.value;
+    case 'regexp':
+        return new RegExp(node.pattern, node.flags);
+    case 'template':
+        var string = node.quasis[0];
+        for (var i = 0; i < node.expressions.length; i++)
+            string += String(evaluate(node.expressions[i], scope)) + node.quasis[i+1];
+        return string;
+    case 'this':
+        return scope ? scope.self : Functional._lambdaGlobal;
+    case 'identifier':
+        if (node.name == 'arguments' && scope && scope.args)
+            return scope.args;
+        var reference = Functional._lambdaReference(node, scope);
+        if (reference.unresolved)
+            throw new ReferenceError(node.name + ' is not defined');
+        return reference.base[reference.key];
+    case 'array':
+        return Functional._evaluateLambdaList(node.elements, scope);
+    case 'object':
+        var object = {};
+        for (var i = 0; i < node.properties.length; i++) {
+            var property = node.properties[i];
+            if (property.type == 'spread') {
+                var source = evaluate(property.argument, scope);
+                for (var key in source)
+                    Object.prototype.hasOwnProperty.call(source, key) && (object[key] = source[key]);
+            } else {
+                object[evaluate(property.key, scope)] = evaluate(property.value, scope);
+            }
+        }
+        return object;
+    case 'function':
+        return Functional._lambdaClosure(node, scope);
+    case 'optional':
+        var value = evaluate(node.expression, scope);
+        return value === Functional._lambdaShortCircuit ? undefined : value;
+    case 'member':
+        var object = evaluate(node.object, scope);
+        if (object === Functional._lambdaShortCircuit
+            || node.optional && object == null)
+            return Functional._lambdaShortCircuit;
+        return object[evaluate(node.property, scope)];
+    case 'call':
+        var callee = node.callee,
+            self = undefined,
+            fn;
+        if (callee.type == 'member') {
+            self = evaluate(callee.object, scope);
+            if (self === Functional._lambdaShortCircuit
+                || callee.optional && self == null)
+                return Functional._lambdaShortCircuit;
+            fn = self[evaluate(callee.property, scope)];
+        } else {
+            fn = evaluate(callee, scope);
+        }
+        if (fn === Functional._lambdaShortCircuit || node.optional && fn == null)
+            return Functional._lambdaShortCircuit;
+        if (typeof fn != 'function')
+            throw new TypeError(Functional._describeLambdaNode(callee) + ' is not a function');
+        return fn.apply(self, Functional._evaluateLambdaList(node.args, scope));
+    case 'new':
+        var constructor = evaluate(node.callee, scope);
+        if (typeof constructor != 'function')
+            throw new TypeError(Functional._describeLambdaNode(node.callee) + ' is not a constructor');
+        return Reflect.construct(constructor, Functional._evaluateLambdaList(node.args, scope));
+    case 'unary':
+        var argument = node.argument;
+        switch (node.operator) {
+        case 'typeof':
+            if (argument.type == 'identifier' && Functional._lambdaReference(argument, scope).unresolved)
+                return 'undefined';
+            return typeof evaluate(argument, scope);
+        case 'delete':
+            if (argument.type != 'member') return true;
+            return delete evaluate(argument.object, scope)[evaluate(argument.property, scope)];
+        case 'void': return void evaluate(argument, scope);
+        case '!': return !evaluate(argument, scope);
+        case '~': return ~evaluate(argument, scope);
+        case '+': return +evaluate(argument, scope);
+        case '-': return -evaluate(argument, scope);
+        }
+    case 'update':
+        var reference = Functional._lambdaReference(node.argument, scope),
+            old = +reference.base[reference.key],
+            value = node.operator == '++' ? old + 1 : old - 1;
+        reference.base[reference.key] = value;
+        return node.prefix ? value : old;
+    case 'binary':
+        return Functional._lambdaBinaryOperation(node.operator, evaluate(node.left, scope),
+                                                 evaluate(node.right, scope));
+    case 'logical':
+        var left = evaluate(node.left, scope);
+        switch (node.operator) {
+        case '&&': return left && evaluate(node.right, scope);
+        case '||': return left || evaluate(node.right, scope);
+        case '??': return left != null ? left : evaluate(node.right, scope);
+        }
+    case 'conditional':
+        return evaluate(evaluate(node.test, scope) ? node.consequent : node.alternate, scope);
+    case 'assign':
+        var reference = Functional._lambdaReference(node.target, scope),
+            operator = node.operator.slice(0, -1),
+            value;
+        switch (operator) {
+        case '':
+            value = evaluate(node.value, scope);
+            break;
+        case '&&':
+        case '||':
+        case '??':
+            var current = reference.base[reference.key];
+            if (operator == '&&' ? !current : operator == '||' ? current : current != null)
+                return current;
+            value = evaluate(node.value, scope);
+            break;
+        default:
+            value = Functional._lambdaBinaryOperation(operator, reference.base[reference.key],
+                                                      evaluate(node.value, scope));
+        }
+        return reference.base[reference.key] = value;
+    case 'sequence':
+        var value;
+        for (var i = 0; i < node.expressions.length; i++)
+            value = evaluate(node.expressions[i], scope);
+        return value;
+    }
+    throw new SyntaxError('Unknown lambda node ' + node.type);
+}
+
+// Evaluates a list of nodes, some of which may be `null` holes or
+// `{type:'spread'}` nodes, into an array.
+Functional._evaluateLambdaList = function(nodes, scope) {
+    var values = [];
+    for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i];
+        if (!node)
+            values.length++;
+        else if (node.type == 'spread')
+            values.push.apply(values, Array.from(Functional._evaluateLambda(node.argument, scope)));
+        else
+            values.push(Functional._evaluateLambda(node, scope));
+    }
+    return values;
+}
+
+/*
+ * Returns the `base` object and the `key` that an identifier or member
+ * node refers to, so that it can be read or assigned.  A variable that
+ * isn't in any scope refers to the global object; if the global object
+ * doesn't have it either, the reference is `unresolved`.
+ */
+Functional._lambdaReference = function(node, scope) {
+    if (node.type == 'member')
+        return {base:Functional._evaluateLambda(node.object, scope),
+                key:Functional._evaluateLambda(node.property, scope)};
+    for (var key = '#' + node.name; scope; scope = scope.parent)
+        if (scope.names.hasOwnProperty(key))
+            return {base:scope.names, key:key};
+    var global = Functional._lambdaGlobal;
+    return {base:global, key:node.name, unresolved:!(node.name in global)};
+}
+
+Functional._lambdaBinaryOperation = function(operator, a, b) {
+    switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    case '%': return a % b;
+    case '**': return Math.pow(a, b);
+    case '<<': return a << b;
+    case '>>': return a >> b;
+    case '>>>': return a >>> b;
+    case '&': return a & b;
+    case '|': return a | b;
+    case '^': return a ^ b;
+    case '==': return a == b;
+    case '!=': return a != b;
+    case '===': return a === b;
+    case '!==': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    case 'in': return a in b;
+    case 'instanceof': return a instanceof b;
+    }
+}
+
+// Returns source-like text for the callee in a "... is not a function"
+// message.
+Functional._describeLambdaNode = function(node) {
+    switch (node.type) {
+    case 'identifier': return node.name;
+    case 'this': return 'this';
+    case 'member':
+        var property = node.property;
+        return Functional._describeLambdaNode(node.object)
+            + (property.type == 'literal' && typeof property.value == 'string'
+               ? '.' + property.value : '[...]');
+    }
+    return 'expression';
+}
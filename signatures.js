@@ -0,0 +1,443 @@
+/*
+ * License: MIT License
+ * Homepage: http://osteele.com/javascripts/functional
+ * Created: 2026-10-19
+ *
+ *
+ * This checks calls against the `::` type signatures that document
+ * functions, such as `(a -> boolean) [a] -> [a]`.  It requires
+ * functional.js and to-function.js.
+ */
+
+var Functional = this.Functional || {};
+
+/// ^ Type signatures
+
+/**
+ * Returns a function that applies `fn`, after checking its arguments
+ * against `signature`, and that checks its result before returning it.
+ * The signature is written as in the documentation, with or without
+ * the `::`.
+ *
+ * `boolean`, `number`, `string`, `object` and `function` are values of
+ * that `typeof`.  `[a]` is an array of $a$s, or an array-like object
+ * such as `arguments`, or another iterable (whose elements aren't
+ * checked), or a plain object of $a$s, and `[a b]` is an array of an $a$
+ * and a $b$.
+ * `(a b -> c)` is a function, or a string or other object that
+ * `toFunction` coerces to one, that takes at most two arguments.
+ * `a...` is any number of $a$s, `...` is any number of anything, and
+ * `a?` is an $a$ that can be left out, such as the key that `reduce`
+ * passes for a `Map` or an object, but not for an array.
+ *
+ * Any other name is a type variable, which stands for the same kind of
+ * value wherever it appears in a call, except that in a `...` or an
+ * element of an array it stands for one value at a time, so that the
+ * elements can be of different kinds.  The types
+ * after the first `->` describe the result, and a result that is a
+ * function is checked in turn.  A call may pass more arguments than the
+ * signature lists, but not fewer.
+ * >> var inc = Functional.typed('number -> number', function(n) {return n+1})
+ * >> inc(1) -> 2
+ * >> inc('1') -> error
+ * >> Functional.typed('[a] -> a', function(xs) {return xs[1]})([1, 'a']) -> "a"
+ * >> Functional.typed('a [a] -> a', function(x, xs) {return x})(1, [1, 'a']) -> error
+ * >> Functional.typed('[number] -> number', function(xs) {return 1})({a: 1, b: 'b'}) -> error
+ * >> Functional.typed('number -> number', Math.max)(1, 2) -> 2
+ * >> Functional.typed('number number? -> number', Math.max)(1) -> 1
+ * >> Functional.typed('number number? -> number', Math.max)(1, 'a') -> error
+ * >> Functional.typed('(a -> b) [a] -> [b]', map)('x+1', [1, 2]) -> [2, 3]
+ * >> Functional.typed('(a -> b) [a] -> [b]', map)('x y -> x', [1, 2]) -> error
+ * >> Functional.typed(':: a -> b... -> a', K)(1)() -> 1
+ *
+ * A call that doesn't match the signature throws a `SignatureError`.
+ */
+Functional.typed = function(signature, fn) {
+    var type = Functional._parseSignature(signature),
+        context = {name: fn.name || 'function', signature: String(signature)};
+    return Functional._checkedFunction(type, fn, context, {});
+}
+
+/**
+ * Turns on debug mode, in which the functions in `Functional`, and the
+ * methods that functional.js defines on functions, check their calls
+ * against their documented signatures, as `typed` does.
+ * `Functional.debug(false)` turns it off again.  Call it before
+ * `Functional.install` to check the global copies of the functions too.
+ *
+ * Only the calls into the library are checked: while a checked
+ * function runs, the functions that it calls, such as the `map` that
+ * `compose` calls, are not.
+ * >> Functional.debug()
+ * >> Functional.select('>1', [1, 2, 3]) -> [2, 3]
+ * >> Functional.map('x', [1, 'a', {}]) -> [1, "a", {}]
+ * >> Functional.zip([1, 'a'], [2, 3]) -> [[1, 2], ["a", 3]]
+ * >> Functional.select('>1', 3) -> error
+ * >> Functional.reduce('x y -> x + y', 0, ['a', 'b']) -> error
+ * >> Functional.map('x y z -> x', [1]) -> error
+ * >> Functional.reduce('s v k -> s + k + v', '', {a: 1, b: 2}) -> "a1b2"
+ * >> Math.max.curry(1)(2) -> 2
+ * >> Functional.debug(false)
+ * >> Functional.select('>1', 3) -> []
+ */
+Functional.debug = function(enable) {
+    var saved = Functional._undebugged,
+        methods = Functional._functionMethods,
+        signatures = Functional._signatures,
+        name;
+    if (enable === false) {
+        if (!saved) return;
+        for (name in saved.functions)
+            Functional[name] = saved.functions[name];
+        for (name in saved.methods)
+            methods[name] = saved.methods[name];
+        Functional._undebugged = null;
+    } else {
+        if (saved) return;
+        saved = Functional._undebugged = {functions: {}, methods: {}};
+        for (name in signatures) {
+            var type = Functional._parseSignature(signatures[name]),
+                context = {name: name, signature: signatures[name]};
+            if (Functional[name]) {
+                saved.functions[name] = Functional[name];
+                Functional[name] = Functional._checkedFunction(type, Functional[name], context, {});
+            }
+            if (methods[name]) {
+                saved.methods[name] = methods[name];
+                methods[name] = Functional._checkedMethod(type, methods[name], context);
+            }
+        }
+    }
+    if (!Functional.pure)
+        for (name in saved.methods)
+            Function.prototype[name] = methods[name];
+}
+
+/**
+ * ^^ Errors
+ *
+ * A call that doesn't match a signature throws a `SignatureError`.  This
+ * is a `TypeError`, whose `path` names the offending argument (or the
+ * result, or an element of either), whose `value` is that argument, and
+ * whose `signature` is the signature that it doesn't match.
+ * >> var square = Functional.typed('number -> number', function(n) {return n*n})
+ * >> try { square('2') } catch (e) { var error = e }
+ * >> error instanceof TypeError -> true
+ * >> error.path -> "argument 1"
+ * >> error.value -> "2"
+ * >> error.message -> "function: argument 1 should be a number, not \"2\"\n:: number -> number"
+ */
+Functional.SignatureError = function(reason, signature, path, value) {
+    this.reason = reason;
+    this.signature = signature;
+    this.path = path;
+    this.value = value;
+    this.message = reason + '\n:: ' + signature.replace(/^\s*::\s*/, '');
+    this.stack = this.name + ': ' + this.message + '\n'
+        + (new Error().stack || '').replace(/^.*\n/, '');
+}
+
+Functional.SignatureError.prototype = Object.create(TypeError.prototype);
+Functional.SignatureError.prototype.constructor = Functional.SignatureError;
+Functional.SignatureError.prototype.name = 'SignatureError';
+
+// ^^ Built-in signatures
+//
+// The signatures that `debug` checks.  These are the `::` lines from
+// functional.js; they should change together.
+Functional._signatures = {
+    compose: '(a2 -> a1)... (a... -> a2) -> a... -> a1',
+    sequence: '(a... -> a1) (a1 -> a2)... -> a... -> a_{n}',
+    map: '(a ix -> b) [a] -> [b]',
+    reduce: '(a b k? -> a) a [b] -> a',
+    foldl: '(a b k? -> a) a [b] -> a',
+    select: '(a ix -> boolean) [a] -> [a]',
+    filter: '(a ix -> boolean) [a] -> [a]',
+    foldr: '(a b -> b) b [a] -> b',
+    and: '(a... -> boolean)... -> a... -> boolean',
+    or: '(a... -> boolean)... -> a... -> boolean',
+    some: '(a k? -> boolean) [a] -> boolean',
+    every: '(a k? -> boolean) [a] -> boolean',
+    not: '(a... -> b) -> a... -> boolean',
+    equal: '(a... -> b)... -> a... -> boolean',
+    until: '(a -> boolean) (a -> a) -> a -> a',
+    zip: '[a] [b]... -> [[a b...]]',
+    groupBy: '(a ix -> b) [a] -> object',
+    countBy: '(a ix -> b) [a] -> object',
+    indexBy: '(a ix -> b) [a] -> object',
+    partition: '(a ix -> boolean) [a] -> [[a] [a]]',
+    uniqBy: '(a ix -> b) [a] -> [a]',
+    minBy: '(a ix -> b) [a] -> a',
+    maxBy: '(a ix -> b) [a] -> a',
+    chunk: 'number [a] -> [[a]]',
+    zipWith: '(a b... -> c) [a] [b]... -> [c]',
+    saturate: '(a... -> b) a... -> (... -> b)',
+    curry: '(a... b... -> c) a... -> (b... -> c)',
+    rcurry: '(a... b... -> c) b... -> (a... -> c)',
+    I: 'a -> a',
+    id: 'a -> a',
+    K: 'a -> b... -> a',
+    constfn: 'a -> b... -> a',
+    flip: '(a b c... -> d) -> b a c... -> d',
+    uncurry: '(a -> b -> c) -> a b -> c'
+};
+
+// ^^ Parsing
+
+// The names in a signature that aren't type variables.
+Functional._signatureTypeNames = {'#boolean':1, '#number':1, '#string':1, '#object':1, '#function':1};
+
+/*
+ * Returns the type that `signature` describes: a function type such as
+ * `{type:'function', params:[...], result:...}`.  A param is `{type, rest,
+ * optional}`, where `rest` is true for `a...` and `optional` for `a?`.
+ * The other types are `{type:'name', name, variable}`, `{type:'array', element}`,
+ * `{type:'tuple', elements:[param...]}` and `{type:'any'}`.
+ */
+Functional._parseSignature = function(signature) {
+    var text = String(signature).replace(/^\s*::\s*/, ''),
+        tokens = text.match(/->|\.\.\.|[A-Za-z_$][\w$]*(?:\{[^}]*\})?|\S/g) || [],
+        index = 0;
+    function fail(reason) {
+        throw new SyntaxError(reason + ' in signature: ' + text);
+    }
+    function expect(token) {
+        tokens[index] == token ? index++ : fail("Expected '" + token + "'");
+    }
+    function type() {
+        var params = paramList();
+        if (tokens[index] == '->') {
+            index++;
+            return {type:'function', params:params, result:type()};
+        }
+        if (params.length != 1 || params[0].rest)
+            fail(index < tokens.length ? "Unexpected '" + tokens[index] + "'" : "Expected '->'");
+        return params[0].type;
+    }
+    function paramList() {
+        var params = [];
+        while (index < tokens.length && !/^(?:->|\)|\])$/.test(tokens[index])) {
+            if (tokens[index] == ',') {
+                index++;
+            } else if (tokens[index] == '...') {
+                index++;
+                params.push({type:{type:'any'}, rest:true});
+            } else {
+                var param = {type:term(), rest:tokens[index] == '...', optional:tokens[index] == '?'};
+                (param.rest || param.optional) && index++;
+                params.push(param);
+            }
+        }
+        return params;
+    }
+    function term() {
+        var token = tokens[index++];
+        if (token == '(') {
+            var result = type();
+            expect(')');
+            return result;
+        }
+        if (token == '[') {
+            var elements = paramList();
+            expect(']');
+            return elements.length == 1 && !elements[0].rest
+                ? {type:'array', element:elements[0].type}
+                : {type:'tuple', elements:elements};
+        }
+        if (token && /^[A-Za-z_$]/.test(token))
+            return {type:'name', name:token,
+                    variable:!Functional._signatureTypeNames['#' + token]};
+        fail(token ? "Unexpected '" + token + "'" : 'Unexpected end');
+    }
+    var result = type();
+    index < tokens.length && fail("Unexpected '" + tokens[index] + "'");
+    result.type == 'function' || fail("Expected '->'");
+    return result;
+}
+
+// ^^ Checking
+//
+// `context` is the `{name, signature}` that an error reports.  `bindings`
+// maps '#' + the name of each type variable that a call has bound so far
+// to the kind of value that it stands for.  A call's bindings inherit from
+// those of the call whose result it is, so that the `a` in `a -> b -> a`
+// means the same in both.
+
+// Returns a function that checks the calls of `fn` against the function
+// type `type`.
+Functional._checkedFunction = function(type, fn, context, bindings) {
+    var checked = function() {
+        if (Functional._checkingSignature)
+            return fn.apply(this, arguments);
+        var scope = Object.create(bindings), result;
+        Functional._checkParams(type.params, arguments, scope, context, function(i) {
+            return 'argument ' + (i + 1);
+        });
+        Functional._checkingSignature = true;
+        try {
+            result = fn.apply(this, arguments);
+        } finally {
+            Functional._checkingSignature = false;
+        }
+        if (type.result.type != 'function') {
+            Functional._checkValue(type.result, result, scope, context, 'the result');
+            return result;
+        }
+        if (typeof result != 'function')
+            Functional._signatureViolation(context, 'the result', 'a function', result);
+        return Functional._checkedFunction(type.result, result, context, scope);
+    };
+    Object.defineProperty(checked, 'length', {value:fn.length});
+    return checked;
+}
+
+// Returns a method that checks its calls against `type`, whose first
+// parameter is the function that the method is called on.
+Functional._checkedMethod = function(type, method, context) {
+    var checked = Functional._checkedFunction(type, function(fn) {
+        return method.apply(fn, Functional._slice(arguments, 1));
+    }, context, {});
+    return function() {
+        return checked.apply(null, [this].concat(Functional._slice(arguments, 0)));
+    }
+}
+
+// Checks `values` against `params`.  `path(i)` names `values[i]`.
+Functional._checkParams = function(params, values, bindings, context, path) {
+    var before = [], after = [], rest = null;
+    for (var i = 0; i < params.length; i++)
+        if (rest) params[i].rest || after.push(params[i]);
+        else if (params[i].rest) rest = params[i];
+        else before.push(params[i]);
+    // The values for the params after the last one that isn't optional
+    // can be left out.
+    var required = after.length;
+    before.forEach(function(param, i) {
+        param.optional || (required = after.length + i + 1);
+    });
+    if (values.length < required) {
+        var missing = path(values.length);
+        throw new Functional.SignatureError(context.name + ': ' + missing + ' is missing',
+                                           context.signature, missing, undefined);
+    }
+    for (var i = 0; i < before.length; i++)
+        if (!before[i].optional || values[i] !== undefined)
+            Functional._checkValue(before[i].type, values[i], bindings, context, path(i));
+    // A variable in a rest parameter stands for one value at a time.  The
+    // values past the params, if there's none, aren't checked.
+    for (var i = before.length; rest && i < values.length - after.length; i++)
+        Functional._checkValue(rest.type, values[i], Object.create(bindings), context, path(i));
+    for (var i = 0; i < after.length; i++) {
+        var j = values.length - after.length + i;
+        Functional._checkValue(after[i].type, values[j], bindings, context, path(j));
+    }
+}
+
+// Checks that `value`, which `path` names, is a `type`.
+Functional._checkValue = function(type, value, bindings, context, path) {
+    // A reducer can return `reduced(value)` in place of `value`.
+    if (value instanceof Functional.Reduced)
+        value = value.value;
+    var kind = Functional._valueKind(value);
+    switch (type.type) {
+    case 'name':
+        if (type.variable) {
+            var key = '#' + type.name, bound = bindings[key];
+            if (kind == 'null' || kind == 'undefined')
+                return;
+            if (!bound)
+                bindings[key] = kind;
+            else if (bound != kind)
+                Functional._signatureViolation(
+                    context, path,
+                    Functional._withArticle(bound) + ', as `' + type.name + '` is elsewhere', value);
+        } else if (type.name == 'function'
+                   ? !Functional._isFunctionLike(value)
+                   : kind != type.name && !(type.name == 'object' && kind == 'array')) {
+            Functional._signatureViolation(context, path, Functional._withArticle(type.name), value);
+        }
+        return;
+    case 'array':
+        // Checking the elements of another iterable would use them up.
+        if (Functional._isIterable(value) && !Functional._isArrayLike(value))
+            return;
+        // As in a rest parameter, a variable in the element type stands
+        // for one element at a time.  The collection functions read the
+        // values of a plain object.
+        if (Functional._isPlainObject(value) && !Functional._isArrayLike(value)) {
+            for (var key in value)
+                if (Object.prototype.hasOwnProperty.call(value, key))
+                    Functional._checkValue(type.element, value[key], Object.create(bindings),
+                                           context, path + '.' + key);
+            return;
+        }
+        if (!Functional._isArrayLike(value))
+            Functional._signatureViolation(context, path, 'an array', value);
+        for (var i = 0; i < value.length; i++)
+            Functional._checkValue(type.element, value[i], Object.create(bindings),
+                                   context, path + '[' + i + ']');
+        return;
+    case 'tuple':
+        if (!Functional._isArrayLike(value))
+            Functional._signatureViolation(context, path, 'an array', value);
+        Functional._checkParams(type.elements, value, bindings, context, function(i) {
+            return path + '[' + i + ']';
+        });
+        return;
+    case 'function':
+        if (!Functional._isFunctionLike(value))
+            Functional._signatureViolation(context, path, 'a function', value);
+        for (var i = 0; i < type.params.length; i++)
+            if (type.params[i].rest) return;
+        var fn = Functional.toFunction(value), count = type.params.length;
+        if (fn.length > count)
+            Functional._signatureViolation(
+                context, path,
+                'a function of at most ' + count + (count == 1 ? ' argument' : ' arguments'),
+                value);
+    }
+}
+
+Functional._signatureViolation = function(context, path, expected, value) {
+    var reason = context.name + ': ' + path + ' should be ' + expected + ', not '
+        + Functional._describeValue(value);
+    throw new Functional.SignatureError(reason, context.signature, path, value);
+}
+
+// ^^ Utilities
+
+// Returns 'array' or 'null' for those values, and `typeof value` otherwise.
+Functional._valueKind = function(value) {
+    return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+Functional._isArrayLike = function(value) {
+    return Array.isArray(value)
+        || !!value && typeof value == 'object' && typeof value.length == 'number';
+}
+
+Functional._isIterable = function(value) {
+    return value != null && typeof value[Symbol.iterator] == 'function';
+}
+
+// True for the values that `Functional.toFunction` coerces to functions.
+Functional._isFunctionLike = function(value) {
+    return typeof value == 'function' || typeof value == 'string' || value instanceof String
+        || !!value && typeof value.toFunction == 'function';
+}
+
+Functional._withArticle = function(noun) {
+    return (/^[aeiou]/.test(noun) ? 'an ' : 'a ') + noun;
+}
+
+// Returns a short description of `value`, for an error message.
+Functional._describeValue = function(value) {
+    if (typeof value == 'string')
+        return JSON.stringify(value);
+    if (typeof value == 'function')
+        return 'a function';
+    if (Array.isArray(value))
+        return '[' + value.slice(0, 3).map(Functional._describeValue).join(', ')
+            + (value.length > 3 ? ', ...]' : ']');
+    return String(value);
+}
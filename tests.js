@@ -131,6 +131,20 @@ function test() {
     assertEquals(5, 'x + 2*y'.lambda()(1, 2));
     console.info('y + 2*x'.lambda()(1, 2));
     assertEquals(5, 'y + 2*x'.lambda()(1, 2));
+    console.info('typeof x == "number"'.lambda()(1));
+    assertEquals(true, 'typeof x == "number"'.lambda()(1));
+    console.info('x ? y : z'.lambda()(false, 1, 2));
+    assertEquals(2, 'x ? y : z'.lambda()(false, 1, 2));
+    console.info('s.replace(/a+b/g, t)'.lambda()('aabc', '-'));
+    assertEquals("-c", 's.replace(/a+b/g, t)'.lambda()('aabc', '-'));
+    console.info('xs.map(function(x) {return x*n})'.lambda()([1,2], 3));
+    assertEquals([3, 6], 'xs.map(function(x) {return x*n})'.lambda()([1,2], 3));
+    console.info('xs.map(x => x*n)'.lambda()([1,2], 3));
+    assertEquals([3, 6], 'xs.map(x => x*n)'.lambda()([1,2], 3));
+    console.info('`${a}-${b}`'.lambda()(1, 2));
+    assertEquals("1-2", '`${a}-${b}`'.lambda()(1, 2));
+    console.info('"_" + x'.lambda()('y'));
+    assertEquals("_y", '"_" + x'.lambda()('y'));
     console.info('x -> y -> x + 2*y'.lambda()(1)(2));
     assertEquals(5, 'x -> y -> x + 2*y'.lambda()(1)(2));
     
@@ -146,5 +160,321 @@ function test() {
     console.info('/'.call(null, 2, 4));
     assertEquals(0.5, '/'.call(null, 2, 4));
     
+    // cache
+    var cache = String.prototype.lambda.cache({max: 2});
+    assertEquals(true, 'x+1'.lambda() === 'x+1'.lambda());
+    assertEquals(true, 'return x'.toFunction() === 'return x'.toFunction());
+    '2*x'.lambda();
+    var stats = cache.stats();
+    assertEquals([2, 2, 2, 3, 1], [stats.size, stats.max, stats.hits, stats.misses, stats.evictions]);
+    assertEquals(['{return x}', '2*x'], [cache.entries()[0][0], cache.entries()[1][0]]);
+    cache.clear();
+    assertEquals(0, cache.stats().size);
+    String.prototype.lambda.uncache();
+    assertEquals(true, String.prototype.lambda.cached() === null);
+    
+    // interpretLambdas
+    Functional.interpretLambdas()
+    console.info('x -> y -> x + 2*y'.lambda()(1)(2));
+    assertEquals(5, 'x -> y -> x + 2*y'.lambda()(1)(2));
+    console.info(map('[_, {n: _ * 2}.n]', [1, 2]));
+    assertEquals([[1, 2], [2, 4]], map('[_, {n: _ * 2}.n]', [1, 2]));
+    console.info('xs.map(x => x > 1 ? `big ${x}` : "small")'.lambda()([1, 2]));
+    assertEquals(["small", "big 2"], 'xs.map(x => x > 1 ? `big ${x}` : "small")'.lambda()([1, 2]));
+    console.info('return 1'.toFunction()(1));
+    assertEquals(1, 'return 1'.toFunction()(1));
+    Functional.interpretLambdas(false)
+    
+    // LambdaSyntaxError
+    function compileError(string) {
+        try { string.toFunction() } catch (e) { return e }
+    }
+    var error = compileError('x -> x +');
+    assertEquals(true, error instanceof Functional.LambdaSyntaxError);
+    assertEquals(true, error instanceof SyntaxError);
+    assertEquals('x -> x +', error.source);
+    assertEquals(['x'], error.params);
+    assertEquals('explicit', error.form);
+    assertEquals(8, error.column);
+    assertEquals('x -> x +\n        ^', error.caret);
+    assertEquals([2, 'implicit'], [compileError('x y').column, compileError('x y').form]);
+    assertEquals([0, '_'], [compileError('"_ + 1').column, compileError('"_ + 1').form]);
+    assertEquals([1, 'left section'], [compileError('*(2 + 3').column, compileError('*(2 + 3').form]);
+    assertEquals([7, 'statements'], [compileError('return )').column, compileError('return )').form]);
+
+    // function forms
+    console.info(Functional.compileLambda('x -> x + 1')(1));
+    assertEquals(2, Functional.compileLambda('x -> x + 1')(1));
+    console.info(Functional.toFunction('return 1')());
+    assertEquals(1, Functional.toFunction('return 1')());
+    assertEquals(9, Functional.partial(Math.pow, Functional._, 2)(3));
+    assertEquals(true, Functional._ === _);
+    assertEquals(14, Functional.S('+', '_ a b -> a*b')(2,3,4));
+    assertEquals(true, Functional.cacheLambdas === String.prototype.lambda.cache);
+
+    // placeholders
+    var lodash = _;
+    _ = {};
+    assertEquals(9, Functional.partial(Math.pow, Functional._, 2)(3));
+    assertEquals(["[object Object]", 2], Functional.partial('a b -> [String(a), b]', _)(2));
+    _ = lodash;
+    assertEquals([1, 2, 3], Functional.partial('[].slice.call(arguments)', Functional.rest, 3)(1, 2));
+    var options = {a: Functional.key('a'), b: 2};
+    var fill = Functional.partial('x o -> [x, o.a, o.b]', 1, options);
+    assertEquals([1, 0, 2], fill({a: 0}));
+    assertEquals(true, options.a instanceof Functional._Key);
+    var pair = Functional.partial('a b -> [a, b]', Functional._, Functional.key('x'));
+    assertEquals([[1, 2], 3], pair([1, 2])({x: 3}));
+    var filled = pair({y: 1}, {x: 2});
+    assertEquals([1, 2], [filled[0].y, filled[1]]);
+
+    // autocurry
+    var add3 = Functional.autocurry('a b c -> a + b + c');
+    console.info(add3(1)(2)(3));
+    assertEquals(6, add3(1)(2)(3));
+    assertEquals(["abc", 3, 1], [add3(_, 'b', _)('a')('c'), add3.length, add3(_, 2, 3).length]);
+    assertEquals(2, Math.max.autocurry(2)(1)(2));
+
+    // memoize
+    var counter = {calls: 0, scale: 10};
+    counter.scaled = function(x) { this.calls++; return this.scale * x }.memoize();
+    console.info(counter.scaled(2));
+    assertEquals([20, 20, 1], [counter.scaled(2), counter.scaled(2), counter.calls]);
+    counter.scaled.clear();
+    assertEquals([20, 2], [counter.scaled(2), counter.calls]);
+    var keys = [1];
+    var weak = Functional.memoize('xs.length', {cache: new WeakMap});
+    weak(keys);
+    weak.clear();
+    assertEquals([false, 1], [weak.cache.has(keys), weak.length]);
+
+    // call control
+    var realClock = Functional.clock, calls = [];
+    Functional.clock = new Functional.ManualClock();
+    var record = function(x) { calls.push(x) };
+    var trailing = record.throttle(10, {leading: false});
+    trailing(1); trailing(2);
+    assertEquals([], calls);
+    Functional.clock.tick(10);
+    assertEquals([2], calls);
+    var leading = record.debounce(10, {leading: true, trailing: false});
+    leading(3); leading(4); Functional.clock.tick(5); leading(5); Functional.clock.tick(10); leading(6);
+    assertEquals([2, 3, 6], calls);
+    var pending = record.debounce(10);
+    pending(7); pending.cancel(); Functional.clock.tick(10);
+    assertEquals([2, 3, 6], calls);
+    var memo = Functional.memoize(function() { return calls.length }, {ttl: 10});
+    calls = [];
+    memo(); calls.push(1); Functional.clock.tick(9);
+    assertEquals(0, memo());
+    Functional.clock.tick(1);
+    assertEquals(1, memo());
+    Functional.clock = realClock;
+    assertEquals([1, 1, undefined, 3], [Math.max.once()(1), Math.max.once()(1, 2) - 1, Math.max.after(2)(1), Math.max.after(1)(3)]);
+
+    // trampoline
+    var countdown = Functional.trampoline('n -> n > 0 ? Functional.recur(n - 1) : "done"');
+    console.info(countdown(200000));
+    assertEquals("done", countdown(200000));
+    Functional.interpretLambdas();
+    assertEquals(50005000, Functional.trampoline('n t -> n ? Functional.recur(n - 1, t + n) : t')(10000, 0));
+    Functional.interpretLambdas(false);
+    var scaler = {k: 3, scale: Functional.trampoline(function(n, t) { return n ? Functional.recur(n - 1, t + this.k) : t })};
+    assertEquals(9, scaler.scale(3, 0));
+    assertEquals(6, Functional.fix('f -> n -> n ? n + f(n - 1) : 0')(3));
+
+    // tracing
+    var events = [];
+    var tracer = new Functional.Tracer({sink: Functional.Tracer.arraySink(events), clock: new Functional.ManualClock()});
+    var untrace = tracer.traceFunctional();
+    console.info(Functional.map('x+1', [1, 2]));
+    assertEquals([2, 3], Functional.map('x+1', [1, 2]));
+    untrace();
+    assertEquals(undefined, Functional.map.untraced);
+    assertEquals(['call Functional.map 0', 'call Functional.toFunction 1'], [events[0], events[1]].map(function(e) { return e.type + ' ' + e.name + ' ' + e.depth }));
+    assertEquals([events[0].id, 'return'], [events[1].parent, events[events.length - 1].type]);
+    var thrower = function() { throw new Error('bad') }.traced('thrower', tracer);
+    try { thrower() } catch (e) {}
+    assertEquals(['throw', 'bad'], [events[events.length - 1].type, events[events.length - 1].error.message]);
+    var lines = [], cyclic = {};
+    cyclic.self = cyclic;
+    new Functional.Tracer({sink: Functional.Tracer.jsonlSink(function(line) { lines.push(line) })}).wrap('x', 'id')(cyclic);
+    assertEquals(['id', 2], [JSON.parse(lines[1]).name, lines.length]);
+    var loop = [1];
+    loop.push(loop);
+    lines = [];
+    new Functional.Tracer({sink: Functional.Tracer.consoleSink(function(line) { lines.push(line) })}).wrap('x', 'id')(loop);
+    assertEquals('id([1, [Circular]])', lines[0]);
+
+    // exceptions
+    var divide = function(a, b) { if (!b) throw new RangeError('zero'); return a / b };
+    console.info(divide.rescue('e a b -> [e.message, a, b]')(1, 0));
+    assertEquals(["zero", 1, 0], divide.rescue('e a b -> [e.message, a, b]')(1, 0));
+    assertEquals([true, 2, false, "zero"], [divide.attempt()(4, 2).ok, divide.attempt()(4, 2).value, divide.attempt()(1, 0).ok, divide.attempt()(1, 0).error.message]);
+    var cleaned = 0;
+    try { divide.ensure(function() { cleaned++ })(1, 0) } catch (e) {}
+    assertEquals([2, 2], [divide.ensure(function() { cleaned++ })(4, 2), cleaned]);
+    var failures = 0;
+    assertEquals(4, Functional.retry(function() { if (failures++ < 3) throw new Error('again'); return failures }, 5)());
+    var safely = compose('x*2', divide.rescue(Functional.K(0)));
+    assertEquals([1, 0], [safely(1, 2), safely(1, 0)]);
+
+    // Maybe and Either
+    var Maybe = Functional.Maybe, Either = Functional.Either;
+    console.info(Maybe.of(3).map('x+1').getOrElse(0));
+    assertEquals([4, 0, "Nothing"], [Maybe.of(3).map('x+1').getOrElse(0), Maybe.of(undefined).map('x+1').getOrElse(0), String(Maybe.just(1).chain(Functional.K(null)))]);
+    assertEquals([true, 'boom'], [Either.lift(function() { throw 'boom' })().isLeft, Either.lift(function() { throw 'boom' })().value]);
+    var calledAfterLeft = false;
+    var pipeline = Functional.sequenceM(function(x) { return x ? Either.right(x) : Either.left('empty') }, function(x) { calledAfterLeft = true; return x });
+    assertEquals(['empty', false], [pipeline('').value, calledAfterLeft]);
+    assertEquals(['ab', 'Right(ab)'], [pipeline('ab').value, String(pipeline('ab'))]);
+    assertEquals(2, Functional.composeM('x.length', 'Functional.Maybe.just(s)')('ab').value);
+
+    // lenses
+    var doc = {users: [{name: 'ann', roles: ['admin']}]};
+    console.info(Functional.view('users[0].name', doc));
+    var renamed = Functional.over('users[0].name', 'x.toUpperCase()', doc);
+    assertEquals(['ANN', 'ann'], [renamed.users[0].name, doc.users[0].name]);
+    assertEquals([false, false, true], [renamed.users === doc.users, renamed.users[0] === doc.users[0], renamed.users[0].roles === doc.users[0].roles]);
+    var firstRole = Functional.compose(Functional.lensProp('users'), Functional.lensIndex(0), Functional.lensPath('roles[0]'));
+    assertEquals('admin', Functional.view(firstRole, doc));
+    assertEquals(['root'], Functional.set(firstRole, 'root', doc).users[0].roles);
+    assertEquals(['x', 'y'], Functional.set('a[1]', 'y', {a: ['x']}).a);
+    assertEquals([undefined, 3], [Functional.view('a.b.c', {}), Functional.view(['a', 'b.c'], {a: {'b.c': 3}})]);
+
+    // objects, maps and sets
+    var config = {port: '80', host: 'localhost'};
+    console.info(Functional.toPairs(Functional.map('x.toUpperCase()', config)));
+    assertEquals([['port', 80], ['host', 'localhost']], Functional.toPairs(Functional.map('v k -> k == "port" ? Number(v) : v', config)));
+    assertEquals(true, Functional.map('x+1', new Map([['a', 1]])) instanceof Map);
+    assertEquals([2], Array.from(Functional.select('>1', new Set([1, 2]))));
+    assertEquals([true, 'port80host'], [Functional.every('v k -> typeof k == "string"', config), Functional.reduce('s v k -> s + k + (k == "port" ? v : "")', '', config)]);
+    assertEquals(['a', 'b'], Functional.reduce(function(keys, value, key) { return keys.concat([key]) }, [], new Map([['a', 1], ['b', 2]])));
+    assertEquals([['host', 'localhost']], Functional.toPairs(Functional.omit(['port'], config)));
+    assertEquals([['PORT', '80']], Functional.toPairs(Functional.mapKeys('k -> k.toUpperCase()', Functional.pick(['port'], config))));
+    assertEquals([['a', 1]], Functional.toPairs(Functional.fromPairs(Functional.toPairs({a: 1}))));
+    // shaped like an object literal from another frame
+    var foreign = Object.create(Object.create(null));
+    foreign.a = 1;
+    assertEquals([['a', 2]], Functional.toPairs(Functional.map('x*2', foreign)));
+    var unpolluted = Functional.fromPairs([['__proto__', {polluted: 1}]]);
+    assertEquals([['__proto__'], true, true], [Object.keys(unpolluted), unpolluted.polluted === undefined, Object.getPrototypeOf(unpolluted) === Object.prototype]);
+    assertEquals(['__proto__', 'a'], Object.keys(Functional.mapKeys('k -> k == "a" ? "__proto__" : "a"', {a: 1, b: 2})));
+
+    // aggregation
+    var rows = [{type: 'a', n: 3}, {type: 'b', n: 1}, {type: 'a', n: 2}];
+    console.info(Functional.toPairs(Functional.countBy('.type', rows)));
+    assertEquals([[3, 2], [1]], Functional.map('g -> g.map(pluck("n"))', Functional.toPairs(Functional.groupBy('.type', rows)).map(pluck(1))));
+    assertEquals([2, 3, 1], Functional.sortBy(['.type', '.n'], rows).map(pluck('n')));
+    assertEquals([1, 3, 2], Functional.sortBy({by: '.type', desc: true}, rows).map(pluck('n')));
+    var sparse = [3, undefined, 1, 2, undefined, 0].map(function(v) { return {v: v} });
+    assertEquals([0, 1, 2, 3, undefined, undefined], Functional.sortBy('.v', sparse).map(pluck('v')));
+    assertEquals([undefined, undefined, 3, 2, 1, 0], Functional.sortBy({by: '.v', desc: true}, sparse).map(pluck('v')));
+    assertEquals([0, 3], [Functional.minBy('.v', sparse).v, Functional.maxBy('.v', sparse).v]);
+    assertEquals([6, 2, 1, 3], [Functional.sum('.n', rows), Functional.mean('.n', rows), Functional.minBy('.n', rows).n, Functional.maxBy('.n', rows).n]);
+    assertEquals([[3, 2], [1]], Functional.partition('.type == "a"', rows).map(function(group) { return group.map(pluck('n')) }));
+    assertEquals([3, 1], Functional.uniqBy('.type', rows).map(pluck('n')));
+    var protoGroups = Functional.groupBy('.type', [{type: '__proto__'}, {type: 'a'}]);
+    assertEquals([['__proto__', 'a'], true], [Object.keys(protoGroups), Object.getPrototypeOf(protoGroups) === Object.prototype]);
+    assertEquals([['__proto__', 2]], Functional.toPairs(Functional.countBy('x', ['__proto__', '__proto__'])));
+    assertEquals([[1, 2], [3]], Functional.chunk(2, new Set([1, 2, 3])));
+    assertEquals([1, 2, 3], Functional.flatMap('x -> [x]', [1, 2, 3]));
+    assertEquals([[1, 2], ['a', 'b']], Functional.unzip(Functional.zip([1, 2], ['a', 'b'])));
+    assertEquals(['1a', '2b'], Functional.zipWith('+', [1, 2], ['a', 'b']));
+
+    // chain
+    var items = [{price: 3, inStock: true}, {price: 5, inStock: false}, {price: 4, inStock: true}];
+    console.info(Functional.chain(items).select('.inStock').map('.price').reduce('+', 0));
+    assertEquals(7, Functional.chain(items).select('.inStock').map('.price').reduce('+', 0));
+    var indices = [];
+    var fused = Functional.chain([5, 6, 7, 8]).select('%2').map(function(x, i) { indices.push(i); return x });
+    assertEquals([[5, 7], [0, 1]], [fused.value(), indices]);
+    assertEquals([[5, 7], [0, 1, 0, 1]], [fused.toArray(), indices]);
+    assertEquals([[3, 5], [4]], Functional.chain(items).map('.price').chunk(2).value());
+    assertEquals([4, 3], Functional.chain(items).filter('.inStock').sortBy({by: '.price', desc: true}).map('.price').value());
+    assertEquals([['true', 2], ['false', 1]], Functional.chain(items).countBy('.inStock').toArray());
+    assertEquals([true, 4, 12], [Functional.chain(items).some('.price > 4'), Functional.chain(items).mean('.price'), Functional.chain(items).sum('.price')]);
+    assertEquals([10, 20], Array.from(Functional.chain(new Set([1, 2])).map('x*10')));
+    var naturals = Functional.Seq.iterate('x+1', 1);
+    assertEquals([true, false], [Functional.chain(naturals).map('x*2').some('>10'), Functional.chain(naturals).select('%2').every('<7')]);
+
+    // cond and match
+    var classify = Functional.cond([['%15 == 0', '-> "fizzbuzz"'], ['%3 == 0', '-> "fizz"'], ['%5 == 0', '-> "buzz"']], String);
+    console.info(map(classify, [3, 5, 15, 7]));
+    assertEquals(['fizz', 'buzz', 'fizzbuzz', '7'], map(classify, [3, 5, 15, 7]));
+    var point = Functional.match([[[0, 0], '-> "origin"'], [[Functional.key('x'), 0], 'b -> "x=" + b.x'], [[_, Functional.key('y')], 'b -> "y=" + b.y']]);
+    assertEquals(['origin', 'x=2', 'y=3'], [point([0, 0]), point([2, 0]), point([1, 3])]);
+    var matchError = null;
+    try { point('nowhere') } catch (e) { matchError = e }
+    assertEquals([true, true, 'nowhere', 3], [matchError instanceof Functional.MatchError, matchError instanceof Error, matchError.args[0], matchError.patterns.length]);
+    assertEquals('No pattern matched "nowhere"; tried [0, 0], [x, 0], [_, y]', matchError.message);
+    var Circle = function(r) { this.r = r };
+    var shape = Functional.match([[Circle, '-> "circle"'], [{r: Number}, '-> "round"'], [NaN, '-> "NaN"']], '-> "other"');
+    assertEquals(['circle', 'other', 'round', 'NaN'], [shape(new Circle(1)), shape({r: '1'}), shape({r: 1}), shape(NaN)]);
+    assertEquals([2, 4], Functional.map('x*2', [1, 2]));
+
+    // lambda parameters
+    console.info('{x, y = 2} -> x + y'.lambda()({x: 1}));
+    [false, true].forEach(function(interpret) {
+        Functional.interpretLambdas(interpret);
+        assertEquals(3, '{x, y = 2} -> x + y'.lambda()({x: 1}));
+        assertEquals(6, '[a, , b] -> a * b'.lambda()([2, 0, 3]));
+        assertEquals([1, 2], 'first, ...rest -> rest'.lambda()(0, 1, 2));
+        assertEquals([1, 0], ['x, y = 1 -> x + y'.lambda().length, '...xs -> xs'.lambda().length]);
+        assertEquals(['b', 'c'], '{a, ...others} -> Object.keys(others)'.lambda()({a: 1, b: 2, c: 3}));
+        assertEquals(5, '{x} [y] -> x + y'.lambda()({x: 2}, [3]));
+        assertEquals(['ann: x', 'bob: -'], map('{name: n, tags: [tag = "-"] = []} -> n + ": " + tag', [{name: 'ann', tags: ['x']}, {name: 'bob'}]));
+        var error = null;
+        try { '...a, b -> a'.lambda() } catch (e) { error = e }
+        assertEquals([true, 4], [error instanceof Functional.LambdaSyntaxError, error.column]);
+    });
+    Functional.interpretLambdas(false);
+
+    // typed
+    function signatureError(fn) {
+        try { fn() } catch (e) { return e }
+    }
+    var first = Functional.typed('[a] -> a', function(xs) {return xs[0]});
+    assertEquals([1, 1], [first([1, 2]), first([1, 'a'])]);
+    var member = Functional.typed('a [a] -> a', function(x, xs) {return x});
+    var error = signatureError(function() { member(1, [1, 'a']) });
+    assertEquals(true, error instanceof Functional.SignatureError);
+    assertEquals(['argument 2[1]', 'a'], [error.path, error.value]);
+    assertEquals('argument 1', signatureError(function() { first() }).path);
+    Functional.debug();
+    assertEquals('the result', signatureError(function() { Functional.until('>10', '2*')('1') }).path);
+    assertEquals([2, 3], Functional.map('x+1', [1, 2]));
+    assertEquals(['a', true], Functional.select('x', [0, 'a', true]));
+    assertEquals([[1, 2], ['a', 3]], Functional.zip([1, 'a'], [2, 3]));
+    Functional.debug(false);
+
+    // Seq
+    console.info(Functional.Seq.range(1).select('%2').map('x*x').take(3).toArray());
+    assertEquals([1, 9, 25], Functional.Seq.range(1).select('%2').map('x*x').take(3).toArray());
+    assertEquals([[1, "b"], [2, "c"]], Functional.Seq.range(0).zip('abc').drop(1).toArray());
+    assertEquals([5, 3, 1], Functional.Seq.range(5, 0, -2).toArray());
+    assertEquals(true, Functional.Seq.range(1).some('>1000'));
+    var evens = Functional.Seq.iterate('x+2', 0).takeWhile('<7');
+    assertEquals([[0, 2, 4, 6], [0, 2, 4, 6]], [evens.toArray(), evens.toArray()]);
+    assertEquals([2, 4], Array.from(map('x*2', new Set([1, 2]))));
+    assertEquals(3, reduce('+', 0, new Functional.Seq([1, 2])));
+
+    // transduce
+    var xform = compose(Functional.filtering('%2'), Functional.mapping('x*x'), Functional.taking(2));
+    console.info(Functional.transduce(xform, '+', 0, [1, 2, 3, 4, 5]));
+    assertEquals(10, Functional.transduce(xform, '+', 0, [1, 2, 3, 4, 5]));
+    var push = 'xs x -> xs.concat([x])';
+    assertEquals([[1, 2]], Functional.transduce(compose(Functional.partitioning(2), Functional.taking(1)), push, [], Functional.Seq.range(1)));
+    assertEquals([[1, 2], [3]], Functional.transduce(compose(Functional.taking(3), Functional.partitioning(2)), push, [], Functional.Seq.range(1)));
+    assertEquals([2, 3], Functional.transduce(compose(Functional.deduping(), Functional.dropping(1)), push, [], [1, 1, 2, 3, 3]));
+
+    // async
+    assertEquals(true, Functional.composeAsync('x+1', 'x*2')(3) instanceof Promise);
+    var stageError = new Functional.StageError(new Error('oops'), 1);
+    assertEquals([true, 1, 'Stage 1 failed: oops'], [stageError instanceof Error, stageError.index, stageError.message]);
+    var rejected = Functional.mapAsync('x', [1], {concurrency: -1});
+    assertEquals(true, rejected instanceof Promise);
+    rejected.then(null, function() {});
+
     return 'passed';
 }
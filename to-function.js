@@ -12,6 +12,16 @@
  */
 
 
+// The string lambda compiler keeps its internal helpers in the
+// `Functional` namespace, which functional.js shares.
+var Functional = this.Functional || {};
+
+// The methods that this file defines for strings and functions.  Unless
+// `Functional.pure` is set, the end of this file copies them to
+// `String.prototype` and `Function.prototype`.
+Functional._stringMethods = {};
+Functional._functionMethods = Functional._functionMethods || {};
+
 /// ^ String lambdas
 
 /**
@@ -23,7 +33,17 @@
  * >> 'x y -> x + 2*y'.lambda()(1, 2) -> 5
  * >> 'x, y -> x + 2*y'.lambda()(1, 2) -> 5
  *
- * Otherwise, if the string contains a `_`, this is the parameter:
+ * The parameters are separated by commas or spaces.  As in a function
+ * literal, they can destructure objects and arrays, and have default
+ * values, and the last one can be a rest parameter:
+ * >> '{x, y} -> x + y'.lambda()({x: 1, y: 2}) -> 3
+ * >> '[a, b] -> a*b'.lambda()([3, 4]) -> 12
+ * >> 'x, y = 1 -> x + y'.lambda()(2) -> 3
+ * >> 'first, ...rest -> rest.length'.lambda()(1, 2, 3) -> 2
+ * >> map('{name: n, tags: [tag] = []} -> n + ":" + tag', [{name: 'a', tags: ['x']}, {name: 'b'}]) -> ["a:x", "b:undefined"]
+ * >> '{x} [y] -> x + y'.lambda()({x: 1}, [2]) -> 3
+ *
+ * Otherwise, if the string uses a variable named `_`, this is the parameter:
  * >> '_ + 1'.lambda()(1) -> 2
  *
  * Otherwise if the string begins or ends with an operator or relation,
@@ -49,11 +69,17 @@
  * >> 'point.x'.lambda()({x:1, y:2}) -> 1
  * >> '({x:1, y:2})[key]'.lambda()('x') -> 1
  *
- * Implicit parameter detection mistakenly looks inside regular expression
- * literals for variable names.  It also doesn't know to ignore JavaScript
- * keywords and bound variables.  (The only way you can get these last two is
- * with a function literal inside the string.  This is outside the intended use
- * case for string lambdas.)
+ * It also ignores JavaScript keywords, the contents of comments and of
+ * regular expression literals, and variables that are bound by a function
+ * literal inside the string.  The expressions inside a template literal
+ * are searched too.
+ * >> 'typeof x == "number"'.lambda()(1) -> true
+ * >> 'x ? y : z'.lambda()(false, 1, 2) -> 2
+ * >> 's.replace(/a+b/g, t)'.lambda()('aabc', '-') -> "-c"
+ * >> 'xs.map(function(x) {return x*n})'.lambda()([1,2], 3) -> [3, 6]
+ * >> 'xs.map(x => x*n)'.lambda()([1,2], 3) -> [3, 6]
+ * >> '`${a}-${b}`'.lambda()(1, 2) -> "1-2"
+ * >> '"_" + x'.lambda()('y') -> "_y"
  *
  * Use `_` (to define a unary function) or `->`, if the string contains anything
  * that looks like a free variable but shouldn't be used as a parameter, or
@@ -67,59 +93,257 @@
  * `this` and `arguments` are special:
  * >> 'this'.call(1) -> 1
  * >> '[].slice.call(arguments, 0)'.call(null,1,2) -> [1, 2]
+ *
+ * The function's `length` is the number of parameters that the string
+ * lambda has, explicit or inferred, so `autocurry` can tell when it has
+ * enough arguments:
+ * >> 'x y -> x'.lambda().length -> 2
+ * >> '/'.lambda().length -> 2
+ * >> 'x + 2*y'.lambda().length -> 2
+ * >> 'x -> y z -> x'.lambda()(1).length -> 2
+ *
+ * As for a function literal, that leaves out the parameters from the
+ * first one with a default value:
+ * >> 'x, y = 1 -> x + y'.lambda().length -> 1
  */
-String.prototype.lambda = function() {
+Functional._stringMethods.lambda = function() {
+    return Functional.compileLambda(this);
+}
+
+/**
+ * Returns the function that the string lambda `string` describes.
+ * This is the function form of `string.lambda()`, for programs that
+ * set `Functional.pure`.
+ * >> Functional.compileLambda('x -> x + 1')(1) -> 2
+ * >> Functional.compileLambda('/2')(3) -> 1.5
+ */
+Functional.compileLambda = function(string) {
+    var source = String(string),
+        cache = Functional._lambdaCache;
+    if (!cache)
+        return Functional._compileUncachedLambda(source);
+    return cache.fetch(source, function() {
+        return Functional._compileUncachedLambda(source);
+    });
+}
+
+// Returns the function that `source` describes.  This is `compileLambda`,
+// without the cache.
+Functional._compileUncachedLambda = function(source) {
     var params = [],
-        expr = this,
-        sections = expr.ECMAsplit(/\s*->\s*/m);
-    if (sections.length > 1) {
-        while (sections.length) {
-            expr = sections.pop();
-            params = sections.pop().replace(/^\s*(.*)\s*$/, '$1').split(/\s*,\s*|\s+/m);
-            sections.length && sections.push('(function('+params+'){return ('+expr+')})');
-        }
-    } else if (expr.match(/\b_\b/)) {
-        params = '_';
-    } else {
-        // test whether an operator appears on the left (or right), respectively
-        var leftSection = expr.match(/^\s*(?:[+*\/%&|\^\.=<>]|!=)/m),
-            rightSection = expr.match(/[+\-*\/%&|\^\.=<>!]\s*$/m);
-        if (leftSection || rightSection) {
-            if (leftSection) {
-                params.push('$1');
-                expr = '$1' + expr;
-            }
-            if (rightSection) {
-                params.push('$2');
-                expr = expr + '$2';
+        expr = source,
+        sections = Functional._stringMethods.ECMAsplit.call(expr, /\s*->\s*/m),
+        form = sections.length > 1 ? 'explicit' : expr.match(/\b_\b/) ? '_' : 'implicit';
+    try {
+        if (form == 'explicit') {
+            while (sections.length) {
+                expr = sections.pop();
+                params = Functional._lambdaParamSources(sections.pop());
+                sections.length && sections.push('(function('+params+'){return ('+expr+')})');
             }
+        } else if (form == '_'
+                   && Functional._lambdaFreeVariables(expr).indexOf('_') >= 0) {
+            params = ['_'];
         } else {
-            // `replace` removes symbols that are capitalized, follow '.',
-            // precede ':', are 'true', 'false', 'null', 'undefined', 'this'
-            // or 'arguments'; and also the insides of strings (by a crude test).
-            // `match` extracts the remaining symbols.
-            var vars = this.replace(/(?:\b[A-Z]|\.[a-zA-Z_$])[a-zA-Z_$\d]*|[a-zA-Z_$][a-zA-Z_$\d]*\s*:|true|false|null|undefined|this|arguments|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, '').match(/([a-z_$][a-z_$\d]*)/gi) || []; // '
-            for (var i = 0, v; v = vars[i++]; )
-                params.indexOf(v) >= 0 || params.push(v);
+            // test whether an operator appears on the left (or right), respectively
+            var leftSection = expr.match(/^\s*(?:[+*\/%&|\^\.=<>]|!=)/m),
+                rightSection = expr.match(/[+\-*\/%&|\^\.=<>!]\s*$/m);
+            if (leftSection || rightSection) {
+                form = !rightSection ? 'left section' : !leftSection ? 'right section' : 'section';
+                if (leftSection) {
+                    params.push('$1');
+                    expr = '$1' + expr;
+                }
+                if (rightSection) {
+                    params.push('$2');
+                    expr = expr + '$2';
+                }
+            } else {
+                form = 'implicit';
+                params = Functional._lambdaFreeVariables(expr);
+            }
         }
+        return Functional._newFunction(params, 'return (' + expr + ')');
+    } catch (e) {
+        if (e instanceof SyntaxError)
+            throw Functional._lambdaSyntaxError(source, params, form, e);
+        throw e;
     }
-    return new Function(params, 'return (' + expr + ')');
 }
 
-/// Turn on caching for `string` -> `Function` conversion.
-String.prototype.lambda.cache = function() {
-    var proto = String.prototype,
-        cache = {},
-        uncached = proto.lambda,
-        cached = function() {
-	        var key = '#' + this; // avoid hidden properties on Object.prototype
-	        return cache[key] || (cache[key] = uncached.call(this));
-        };
-    cached.cached = function(){};
-    cached.uncache = function(){proto.lambda = uncached};
-    proto.lambda = cached;
+/**
+ * ^^ Caching
+ *
+ * Turn on caching for `string` -> `Function` conversion, by `lambda` and
+ * by `toFunction`.  The cache is a `Functional.LRUCache`, which
+ * `cacheLambdas` returns.  It holds `options.max` functions, or 1000 if
+ * `options.max` isn't specified.
+ * >> var cache = Functional.cacheLambdas({max: 100})
+ * >> 'x+1'.lambda() === 'x+1'.lambda() -> true
+ * >> 'x -> x+1'.lambda() === 'x+1'.lambda() -> false
+ * >> Functional.lambdaCache() === cache -> true
+ * >> cache.stats().hits > 0 -> true
+ *
+ * `uncacheLambdas` turns caching off again:
+ * >> Functional.uncacheLambdas()
+ * >> 'x+1'.lambda() === 'x+1'.lambda() -> false
+ *
+ * `String.prototype.lambda.cache`, `.cached` and `.uncache` are
+ * synonyms for these three functions.
+ */
+Functional.cacheLambdas = function(options) {
+    options = options || {};
+    return Functional._lambdaCache = new Functional.LRUCache({
+        max: options.max == null ? 1000 : options.max
+    });
+}
+
+/// Returns the cache that `cacheLambdas` turned on, or null if caching is off.
+Functional.lambdaCache = function() {
+    return Functional._lambdaCache || null;
+}
+
+/// Turns off caching for `string` -> `Function` conversion.
+Functional.uncacheLambdas = function() {
+    Functional._lambdaCache = null;
+}
+
+Functional._stringMethods.lambda.cache = Functional.cacheLambdas;
+Functional._stringMethods.lambda.cached = Functional.lambdaCache;
+Functional._stringMethods.lambda.uncache = Functional.uncacheLambdas;
+
+/**
+ * A cache that holds at most `options.max` entries (by default, any
+ * number), and evicts the least recently used entry to make room for
+ * another.  It counts the `hits` and `misses` of `get` and `fetch`, and
+ * the entries that it evicts, as `evictions`.
+ * >> var lru = new Functional.LRUCache({max: 2})
+ * >> lru.set('a', 1).set('b', 2).get('a') -> 1
+ * >> lru.set('c', 3).entries() -> [["a", 1], ["c", 3]]
+ * >> lru.fetch('d', Functional.K(4)) -> 4
+ * >> lru.stats() -> {size: 2, max: 2, hits: 1, misses: 1, evictions: 2}
+ */
+Functional.LRUCache = function(options) {
+    this.max = options && options.max != null ? options.max : Infinity;
+    this.map = new Map;
+    this.hits = this.misses = this.evictions = 0;
+}
+
+Functional.LRUCache.prototype = {
+    /// Returns the value for `key`, or undefined if it isn't cached.
+    get: function(key) {
+        if (!this.map.has(key)) {
+            this.misses++;
+            return undefined;
+        }
+        this.hits++;
+        return this.touch(key);
+    },
+
+    /// Returns the value for `key`, computing and caching it with
+    /// `compute()` if it isn't cached yet.
+    fetch: function(key, compute) {
+        if (this.map.has(key)) {
+            this.hits++;
+            return this.touch(key);
+        }
+        this.misses++;
+        var value = compute();
+        this.set(key, value);
+        return value;
+    },
+
+    /// Tests whether `key` is cached, without counting this as a use.
+    has: function(key) {
+        return this.map.has(key);
+    },
+
+    /// Caches `value` for `key`, evicting the least recently used
+    /// entries if the cache is full.
+    set: function(key, value) {
+        this.map['delete'](key);
+        this.map.set(key, value);
+        for (var keys = this.map.keys(); this.map.size > this.max; this.evictions++)
+            this.map['delete'](keys.next().value);
+        return this;
+    },
+
+    /// Removes the entry for `key`.  Returns true if there was one.
+    'delete': function(key) {
+        return this.map['delete'](key);
+    },
+
+    /// Removes every entry.  The statistics are kept.
+    clear: function() {
+        this.map.clear();
+    },
+
+    /// Returns the `[key, value]` pairs, least recently used first.
+    entries: function() {
+        return Array.from(this.map);
+    },
+
+    /// Returns the number of entries, the maximum, and the statistics.
+    stats: function() {
+        return {size:this.map.size, max:this.max, hits:this.hits,
+                misses:this.misses, evictions:this.evictions};
+    },
+
+    // Marks `key` as the most recently used, and returns its value.
+    touch: function(key) {
+        var value = this.map.get(key);
+        this.map['delete'](key);
+        this.map.set(key, value);
+        return value;
+    }
 }
 
+/**
+ * ^^ Errors
+ *
+ * `lambda` and `toFunction` throw a `Functional.LambdaSyntaxError` when
+ * a string isn't a valid lambda:
+ * >> 'x -> x +'.lambda() -> error
+ * >> 'x y -> '.toFunction() -> error
+ * >> 'return )'.toFunction() -> error
+ *
+ * Its message points at the problem:
+ *   LambdaSyntaxError: Unexpected end of expression in string lambda:
+ *     x -> x +
+ *             ^
+ */
+
+/**
+ * A `SyntaxError` that describes a string that isn't a valid lambda.
+ * `source` is the string, `params` the parameter names that were
+ * parsed from it, and `form` tells how they were found: 'explicit'
+ * (with `->`), '_', 'left section', 'right section', 'section' (both
+ * sides), 'implicit', or 'statements' (a `toFunction` body that
+ * contains `return`).  `position` is the index of the problem in
+ * `source`; `line` and `column` locate it too, and `caret` is the line
+ * with a `^` beneath that column.
+ */
+Functional.LambdaSyntaxError = function(reason, source, params, form, position) {
+    var lineStart = source.lastIndexOf('\n', position - 1) + 1,
+        lineEnd = source.indexOf('\n', position);
+    this.reason = reason;
+    this.source = source;
+    this.params = params;
+    this.form = form;
+    this.position = position;
+    this.line = source.slice(0, lineStart).split('\n').length;
+    this.column = position - lineStart;
+    this.caret = source.slice(lineStart, lineEnd < 0 ? source.length : lineEnd)
+        + '\n' + new Array(this.column + 1).join(' ') + '^';
+    this.message = reason + ' in string lambda:\n' + this.caret;
+    this.stack = this.name + ': ' + this.message + '\n'
+        + (new Error().stack || '').replace(/^.*\n/, '');
+}
+
+Functional.LambdaSyntaxError.prototype = Object.create(SyntaxError.prototype);
+Functional.LambdaSyntaxError.prototype.constructor = Functional.LambdaSyntaxError;
+Functional.LambdaSyntaxError.prototype.name = 'LambdaSyntaxError';
+
 /**
  * ^^ Duck-Typing
  *
@@ -132,8 +356,8 @@ String.prototype.lambda.cache = function() {
  * >> 'x+1'.apply(null, [2]) -> 3
  * >> '/'.apply(null, [2, 4]) -> 0.5
  */
-String.prototype.apply = function(thisArg, args) {
-    return this.toFunction().apply(thisArg, args);
+Functional._stringMethods.apply = function(thisArg, args) {
+    return Functional.toFunction(this).apply(thisArg, args);
 }
 
 /**
@@ -141,9 +365,9 @@ String.prototype.apply = function(thisArg, args) {
  * >> 'x+1'.call(null, 2) -> 3
  * >> '/'.call(null, 2, 4) -> 0.5
  */
-String.prototype.call = function() {
-    return this.toFunction().apply(arguments[0],
-                                   Array.prototype.slice.call(arguments, 1));
+Functional._stringMethods.call = function() {
+    return Functional.toFunction(this).apply(arguments[0],
+                                             Array.prototype.slice.call(arguments, 1));
 }
 
 /// ^^ Coercion
@@ -156,52 +380,79 @@ String.prototype.call = function() {
  * >> '+1'.toFunction()(2) -> 3
  * >> 'return 1'.toFunction()(1) -> 1
  */
-String.prototype.toFunction = function() {
-    var body = this;
-    if (body.match(/\breturn\b/))
-        return new Function(this);
-    return this.lambda();
+Functional._stringMethods.toFunction = function() {
+    var body = String(this),
+        cache = Functional._lambdaCache;
+    if (!body.match(/\breturn\b/))
+        return Functional.compileLambda(body);
+    function compile() {
+        try {
+            return Functional._newFunction([], body);
+        } catch (e) {
+            if (e instanceof SyntaxError)
+                throw Functional._lambdaSyntaxError(body, [], 'statements', e);
+            throw e;
+        }
+    }
+    // The braces keep a body from sharing a key with the same string's lambda.
+    return cache ? cache.fetch('{' + body + '}', compile) : compile();
 }
 
 /**
- * Returns this function.  `Function.toFunction` calls this.
+ * Returns this function.
  * >> '+1'.lambda().toFunction()(2) -> 3
  */
-Function.prototype.toFunction = function() {
+Functional._functionMethods.toFunction = function() {
     return this;
 }
 
 /**
- * Coerces `fn` into a function if it is not already one,
- * by calling its `toFunction` method.
- * >> Function.toFunction(function() {return 1})() -> 1
+ * Coerces `fn` into a function if it is not already one.  Strings
+ * are coerced as by their `toFunction` method, and other objects
+ * by calling their own `toFunction` method.
+ * >> Functional.toFunction(function() {return 1})() -> 1
+ * >> Functional.toFunction('+1')(2) -> 3
+ *
+ * Unless `Functional.pure` is set, `Function.toFunction` is a synonym:
  * >> Function.toFunction('+1')(2) -> 3
  *
- * `Function.toFunction` requires an argument that can be
+ * `Functional.toFunction` requires an argument that can be
  * coerced to a function.  A nullary version can be
  * constructed via `guard`:
- * >> Function.toFunction.guard()('1+') -> function()
- * >> Function.toFunction.guard()(null) -> null
+ * >> Functional.toFunction.guard()('1+') -> function()
+ * >> Functional.toFunction.guard()(null) -> null
  *
- * `Function.toFunction` doesn't coerce arbitrary values to functions.
+ * `Functional.toFunction` doesn't coerce arbitrary values to functions.
  * It might seem convenient to treat
- * `Function.toFunction(value)` as though it were the
+ * `Functional.toFunction(value)` as though it were the
  * constant function that returned `value`, but it's rarely
  * useful and it hides errors.  Use `Functional.K(value)` instead,
  * or a lambda string when the value is a compile-time literal:
  * >> Functional.K('a string')() -> "a string"
- * >> Function.toFunction('"a string"')() -> "a string"
+ * >> Functional.toFunction('"a string"')() -> "a string"
  */
-Function.toFunction = function(value) {
+Functional.toFunction = function(value) {
+    if (typeof value == 'function')
+        return value;
+    if (typeof value == 'string' || value instanceof String)
+        return Functional._stringMethods.toFunction.call(value);
     return value.toFunction();
 }
 
 // Utilities
 
+// Returns `new Function(params, body)`, or an equivalent function that
+// doesn't use `eval` if `Functional.interpretLambdas()` is on.
+Functional._newFunction = function(params, body) {
+    if (Functional._lambdaInterpreter)
+        return Functional._lambdaInterpreter(params, body);
+    return new Function(params, body);
+}
+
 // IE6 split is not ECMAScript-compliant.  This breaks '->1'.lambda().
 // ECMAsplit is an ECMAScript-compliant `split`, although only for
 // one argument.
-String.prototype.ECMAsplit =
+Functional._stringMethods.ECMAsplit =
     // The test is from the ECMAScript reference.
     ('ab'.split(/a*/).length > 1
      ? String.prototype.split
@@ -218,3 +469,689 @@ String.prototype.ECMAsplit =
          re.lastIndex = savedIndex;
          return result;
      });
+
+
+// ^^ Lexical analysis
+//
+// `lambda` uses these to find the implicit parameters of a string such
+// as `'x + y'`.  They know enough JavaScript to skip literals, comments,
+// keywords, property names, and the variables that a function literal
+// inside the string binds for itself.
+
+// Names that are never implicit parameters: JavaScript's reserved words,
+// and the values that string lambdas have always treated as constants.
+// Keys are prefixed with '#' to avoid hidden properties on Object.prototype.
+Functional._lambdaReservedWords = (function(words) {
+    var set = {};
+    for (var i = 0; i < words.length; i++)
+        set['#' + words[i]] = true;
+    return set;
+})(('await break case catch class const continue debugger default delete do '
+    + 'else enum export extends false finally for function if implements import '
+    + 'in instanceof interface let new null package private protected public '
+    + 'return static super switch this throw true try typeof var void while with '
+    + 'yield undefined arguments').split(' '));
+
+// Keywords after which a `/` begins a regular expression literal rather
+// than a division.
+Functional._lambdaRegExpPrefixes = {'#case':true, '#delete':true, '#do':true,
+    '#else':true, '#in':true, '#instanceof':true, '#new':true, '#return':true,
+    '#throw':true, '#typeof':true, '#void':true, '#yield':true, '#await':true};
+
+/*
+ * Splits `source` into tokens, each of which has a `type` ('name',
+ * 'number', 'string', 'template', 'regexp' or 'punctuator'), the `text`
+ * of the token, and its `pos`ition in `source`.  Whitespace and comments
+ * are dropped.  The expressions inside a template literal are tokenized
+ * in place; the literal text around them makes 'template' tokens that
+ * begin with `` ` `` or `}` and end with `${` or `` ` ``.
+ *
+ * Throws a `SyntaxError` whose `position` is the index of a literal or
+ * comment that doesn't end, or of a character that can't begin a token.
+ */
+Functional._tokenizeLambda = function(source) {
+    var tokens = [],
+        templates = [], // brace depths at which open `${`s close
+        depth = 0,
+        pos = 0,
+        rest, match, text;
+    function fail(message) {
+        var error = new SyntaxError(message);
+        error.position = pos;
+        throw error;
+    }
+    function regExpAllowed() {
+        var prev = tokens[tokens.length - 1];
+        if (!prev) return true;
+        switch (prev.type) {
+        case 'punctuator': return !/^[)\]}]$/.test(prev.text);
+        case 'name': return !!Functional._lambdaRegExpPrefixes['#' + prev.text];
+        default: return false;
+        }
+    }
+    function scanTemplate() {
+        match = source.slice(pos + 1).match(/^(?:[^`\\$]|\\[\s\S]|\$(?!\{))*(`|\$\{)?/);
+        if (!match[1]) fail('Unterminated template literal');
+        if (match[1] != '`') templates.push(depth);
+        return source.charAt(pos) + match[0];
+    }
+    while (pos < source.length) {
+        rest = source.slice(pos);
+        if ((match = rest.match(/^(?:\s+|\/\/.*|\/\*[\s\S]*?\*\/)/))) {
+            pos += match[0].length;
+            continue;
+        }
+        if (rest.slice(0, 2) == '/*')
+            fail('Unterminated comment');
+        var type = 'punctuator';
+        if (rest.charAt(0) == '`'
+            || rest.charAt(0) == '}' && templates[templates.length - 1] == depth) {
+            rest.charAt(0) == '}' && templates.pop();
+            type = 'template';
+            text = scanTemplate();
+        } else if ((match = rest.match(/^[A-Za-z_$\u00aa-\uffff][\w$\u00aa-\uffff]*/))) {
+            type = 'name';
+            text = match[0];
+        } else if ((match = rest.match(/^(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+\-]?\d+)?)n?/))) {
+            type = 'number';
+            text = match[0];
+        } else if (/^['"]/.test(rest)) {
+            match = rest.match(/^(["'])(?:(?!\1)[^\\\n]|\\[\s\S])*\1/);
+            match || fail('Unterminated string literal');
+            type = 'string';
+            text = match[0];
+        } else if (rest.charAt(0) == '/' && regExpAllowed()) {
+            match = rest.match(/^\/(?:[^\\\/\[\n]|\\.|\[(?:[^\\\]\n]|\\.)*\])+\/[A-Za-z]*/);
+            match || fail('Unterminated regular expression literal');
+            type = 'regexp';
+            text = match[0];
+        } else if ((match = rest.match(/^(?:>>>=|\.\.\.|===|!==|\*\*=|<<=|>>=|>>>|&&=|\|\|=|\?\?=|=>|==|!=|<=|>=|&&|\|\||\?\?|\?\.(?!\d)|\+\+|--|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|\*\*|<<|>>|[{}()[\];,<>+\-*\/%&|^!~?:=.@#])/))) {
+            text = match[0];
+            text == '{' && depth++;
+            text == '}' && depth--;
+        } else {
+            fail('Unexpected character ' + rest.charAt(0));
+        }
+        tokens.push({type:type, text:text, pos:pos});
+        pos += text.length;
+    }
+    templates.length && fail('Unterminated template literal');
+    return tokens;
+}
+
+/*
+ * Returns the names of the free variables in `source`, in order of
+ * their first occurrence.  These are the implicit parameters of a
+ * string lambda.
+ */
+Functional._lambdaFreeVariables = function(source) {
+    var tokens = Functional._tokenizeLambda(source),
+        brackets = Functional._matchLambdaBrackets(tokens),
+        scopes = Functional._lambdaScopes(tokens, brackets),
+        names = [],
+        seen = {};
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i],
+            name = token.text;
+        if (token.type != 'name'
+            || Functional._lambdaReservedWords['#' + name]
+            || /^[A-Z]/.test(name)
+            || /^(?:\.|\?\.)$/.test(i > 0 && tokens[i-1].text)
+            || Functional._isLambdaPropertyKey(tokens, brackets, i)
+            || name == 'async' && Functional._isLambdaAsyncKeyword(tokens, brackets, i)
+            || seen['#' + name])
+            continue;
+        var bound = false;
+        for (var j = 0, scope; !bound && (scope = scopes[j++]); )
+            bound = scope.from <= i && i <= scope.to && scope.names['#' + name];
+        if (bound) continue;
+        seen['#' + name] = true;
+        names.push(name);
+    }
+    return names;
+}
+
+/*
+ * Returns an object with two arrays that are indexed by token position:
+ * `match` maps each bracket to its partner, and `parent` maps each token
+ * to the innermost open bracket that contains it.  The text around
+ * template substitutions acts as brackets too.
+ */
+Functional._matchLambdaBrackets = function(tokens) {
+    var match = [], parent = [], stack = [];
+    for (var i = 0; i < tokens.length; i++) {
+        var text = tokens[i].text,
+            type = tokens[i].type,
+            closes = type == 'punctuator' ? /^[)\]}]$/.test(text) : type == 'template' && text.charAt(0) == '}',
+            opens = type == 'punctuator' ? /^[(\[{]$/.test(text) : type == 'template' && /\$\{$/.test(text);
+        if (closes && stack.length) {
+            var open = stack.pop();
+            match[open] = i;
+            match[i] = open;
+        }
+        parent[i] = stack[stack.length - 1];
+        opens && stack.push(i);
+    }
+    return {match:match, parent:parent};
+}
+
+// Is the name at `i` the property name in an object literal entry such
+// as `{x: 1}`?
+Functional._isLambdaPropertyKey = function(tokens, brackets, i) {
+    var next = tokens[i+1],
+        prev = tokens[i-1],
+        parent = tokens[brackets.parent[i]];
+    return !!(next && next.text == ':'
+              && prev && (prev.text == '{' || prev.text == ',')
+              && parent && parent.text == '{');
+}
+
+// Is the `async` at `i` the keyword that begins an async function,
+// rather than a variable?
+Functional._isLambdaAsyncKeyword = function(tokens, brackets, i) {
+    var next = tokens[i+1];
+    if (!next) return false;
+    if (next.text == 'function') return true;
+    var end = next.type == 'name' ? i + 1 : next.text == '(' ? brackets.match[i+1] : null;
+    return end != null && !!tokens[end+1] && tokens[end+1].text == '=>';
+}
+
+/*
+ * Returns the scopes of the function literals in `tokens`.  Each scope has
+ * the token range `from`..`to` that it covers, and the set of `names` that
+ * the function binds: its parameters, its own name, and the variables
+ * and functions that its body declares.
+ */
+Functional._lambdaScopes = function(tokens, brackets) {
+    var scopes = [],
+        match = brackets.match,
+        last = tokens.length - 1;
+    function text(i) { return tokens[i] ? tokens[i].text : null }
+    function end(i) { return match[i] == null ? last : match[i] }
+    function bind(scope, from, to) {
+        var names = Functional._lambdaBindingNames(tokens, brackets, from, to);
+        for (var i = 0; i < names.length; i++)
+            scope.names['#' + names[i]] = true;
+    }
+    function innermost(i) {
+        var result = null;
+        for (var j = 0, scope; scope = scopes[j++]; )
+            if (scope.from <= i && i <= scope.to && (!result || scope.from > result.from))
+                result = scope;
+        return result || {names:{}};
+    }
+    // Function literals and arrow functions
+    for (var i = 0; i < tokens.length; i++) {
+        var scope = null;
+        if (text(i) == 'function') {
+            var j = i + 1;
+            text(j) == '*' && j++;
+            var named = tokens[j] && tokens[j].type == 'name';
+            named && j++;
+            if (text(j) != '(') continue;
+            scope = {from:i, to:end(end(j) + 1), names:{}};
+            named && bind(scope, j - 1, j - 1);
+            bind(scope, j + 1, end(j) - 1);
+        } else if (text(i) == '=>') {
+            var from = text(i-1) == ')' ? match[i-1] : i - 1;
+            if (from == null || from < 0) continue;
+            scope = {from:from, to:last, names:{}};
+            text(i-1) == ')' ? bind(scope, from + 1, i - 2) : bind(scope, from, from);
+            if (text(i+1) == '{') {
+                scope.to = end(i+1);
+            } else {
+                // The body is an expression, which ends at the first
+                // comma, semicolon, unmatched closing bracket, or colon
+                // that doesn't belong to a conditional expression.
+                for (var k = i + 1, conditionals = 0; k <= last; k++) {
+                    var t = text(k);
+                    if (/^[(\[{]$/.test(t) || /\$\{$/.test(t)) {
+                        k = end(k);
+                        continue;
+                    }
+                    if (/^[)\]},;]$/.test(t) || t.charAt(0) == '}'
+                        || t == ':' && !conditionals--) {
+                        scope.to = k - 1;
+                        break;
+                    }
+                    t == '?' && conditionals++;
+                }
+            }
+        }
+        scope && scopes.push(scope);
+    }
+    // Declarations inside function bodies
+    for (var i = 0; i < tokens.length; i++) {
+        var t = text(i);
+        if (t == 'var' || t == 'let' || t == 'const') {
+            var scope = innermost(i), k = i + 1;
+            while (k <= last) {
+                var patternEnd = /^[\[{]$/.test(text(k)) ? end(k) : k;
+                bind(scope, k, patternEnd);
+                // skip the initializer
+                for (k = patternEnd + 1; k <= last; k++) {
+                    if (/^[(\[{]$/.test(text(k))) k = end(k);
+                    else if (/^(?:[)\]};,]|in|of)$/.test(text(k))) break;
+                }
+                if (text(k) != ',') break;
+                k++;
+            }
+        } else if (t == 'function' && tokens[i+1] && tokens[i+1].type == 'name'
+                   && (i == 0 || /^[;{}]$/.test(text(i-1)))) {
+            bind(innermost(i), i + 1, i + 1);
+        } else if (t == 'catch' && text(i+1) == '(') {
+            var scope = {from:i + 1, to:end(end(i+1) + 1), names:{}};
+            bind(scope, i + 2, end(i+1) - 1);
+            scopes.push(scope);
+        }
+    }
+    return scopes;
+}
+
+/*
+ * Returns the variable names that are bound by the parameter list or
+ * destructuring pattern in the tokens `from`..`to`.  Property keys and
+ * the names in default value expressions aren't bindings.
+ */
+Functional._lambdaBindingNames = function(tokens, brackets, from, to) {
+    var names = [],
+        defaults = [false]; // for each bracket depth, inside a default value?
+    for (var i = from; i <= to; i++) {
+        var token = tokens[i],
+            text = token.text,
+            inDefault = false;
+        for (var j = 0; j < defaults.length; j++)
+            inDefault = inDefault || defaults[j];
+        if (token.type == 'punctuator') {
+            if (/^[(\[{]$/.test(text)) defaults.push(false);
+            else if (/^[)\]}]$/.test(text)) defaults.length > 1 && defaults.pop();
+            else if (text == '=') defaults[defaults.length - 1] = true;
+            else if (text == ',') defaults[defaults.length - 1] = false;
+        } else if (token.type == 'name' && !inDefault
+                   && !Functional._lambdaReservedWords['#' + text]
+                   && !Functional._isLambdaPropertyKey(tokens, brackets, i)) {
+            names.push(text);
+        }
+    }
+    return names;
+}
+
+
+// ^^ Error reporting
+//
+// `new Function` can tell that a lambda is malformed, but not where.
+// These find the place so that a `LambdaSyntaxError` can point to it.
+
+/*
+ * Returns a `LambdaSyntaxError` for `source`, which failed to compile
+ * with the SyntaxError `cause`.
+ */
+Functional._lambdaSyntaxError = function(source, params, form, cause) {
+    var problem = cause.position != null
+        ? {position:cause.position, reason:cause.message}
+        : Functional._locateLambdaError(source, form);
+    problem = problem || {
+        position: /end of input/i.test(cause.message) ? source.length : source.search(/\S|$/),
+        reason: cause.message
+    };
+    return new Functional.LambdaSyntaxError(problem.reason, source, params, form,
+                                            problem.position);
+}
+
+// Returns the `position` and `reason` of the first problem in `source`,
+// or null if none is found.
+Functional._locateLambdaError = function(source, form) {
+    if (form != 'explicit')
+        return Functional._findLambdaBodyError(source, 0, form);
+    var separator = /\s*->\s*/g,
+        start = 0,
+        match;
+    // each segment before the last `->` is a parameter list
+    while ((match = separator.exec(source))) {
+        try {
+            Functional._parseLambdaParams(source.slice(start, match.index));
+        } catch (e) {
+            if (e.position == null) throw e;
+            return {position:start + e.position, reason:e.message};
+        }
+        start = match.index + match[0].length;
+    }
+    return Functional._findLambdaBodyError(source.slice(start), start, form);
+}
+
+// Returns the sources of the parameters in the `->` parameter list
+// `segment`.  If one is malformed, `_locateLambdaError` finds where.
+Functional._lambdaParamSources = function(segment) {
+    try {
+        return Functional._parseLambdaParams(segment);
+    } catch (e) {
+        // A `position` in `segment` isn't a position in the string lambda.
+        delete e.position;
+        throw e;
+    }
+}
+
+/*
+ * Returns the sources of the parameters in `segment`, which are
+ * separated by commas or spaces.  A parameter is a name, or an object or
+ * array pattern, optionally followed by `=` and a default value, which
+ * runs to the next comma; or `...` and a name or pattern, which comes
+ * last.  Throws a `SyntaxError` whose `position` is in `segment` if a
+ * parameter is malformed.  Default values and computed keys are left for
+ * `new Function` to check.
+ */
+Functional._parseLambdaParams = function(segment) {
+    var tokens = Functional._tokenizeLambda(segment),
+        index = 0,
+        params = [];
+    function is(text) {
+        var token = tokens[index];
+        return !!token && token.type == 'punctuator' && token.text == text;
+    }
+    function fail(reason) {
+        var token = tokens[index],
+            error = new SyntaxError(reason || (token ? "Unexpected '" + token.text + "'"
+                                               : 'Unexpected end of parameters'));
+        error.position = token ? token.pos : segment.length;
+        throw error;
+    }
+    function expect(text) {
+        is(text) || fail();
+        index++;
+    }
+    function name() {
+        var token = tokens[index];
+        if (!token || token.type != 'name' || Functional._lambdaReservedWords['#' + token.text])
+            fail(token && "Invalid parameter name '" + token.text + "'");
+        index++;
+    }
+    // Skips the tokens up to the next comma or closing bracket outside
+    // the brackets that they open.
+    function skipExpression() {
+        var start = index, depth = 0;
+        for (var token; (token = tokens[index]); index++) {
+            var text = token.type == 'punctuator' ? token.text : '';
+            if (!depth && /^[,)\]}]$/.test(text)) break;
+            if (/^[(\[{]$/.test(text)) depth++;
+            if (/^[)\]}]$/.test(text)) depth--;
+            if (token.type == 'template')
+                depth += /\$\{$/.test(token.text) - (token.text.charAt(0) == '}');
+        }
+        index > start || fail();
+    }
+    function element() {
+        binding();
+        if (is('=')) {
+            index++;
+            skipExpression();
+        }
+    }
+    function binding() {
+        if (is('{')) {
+            index++;
+            while (!is('}')) {
+                if (is('...')) {
+                    index++;
+                    name();
+                    break;
+                }
+                var token = tokens[index];
+                if (is('[')) {
+                    index++;
+                    skipExpression();
+                    expect(']');
+                    expect(':');
+                    element();
+                } else if (token && token.type == 'name' && tokens[index + 1]
+                           && tokens[index + 1].text == ':') {
+                    index += 2;
+                    element();
+                } else if (token && /^(?:string|number)$/.test(token.type)) {
+                    index++;
+                    expect(':');
+                    element();
+                } else {
+                    element();
+                }
+                if (!is(',')) break;
+                index++;
+            }
+            expect('}');
+        } else if (is('[')) {
+            index++;
+            while (!is(']')) {
+                if (is(',')) {
+                    index++;
+                    continue;
+                }
+                if (is('...')) {
+                    index++;
+                    binding();
+                    break;
+                }
+                element();
+                if (!is(',')) break;
+                index++;
+            }
+            expect(']');
+        } else {
+            name();
+        }
+    }
+    while (index < tokens.length) {
+        var first = tokens[index],
+            rest = is('...');
+        if (rest) {
+            index++;
+            binding();
+        } else {
+            element();
+        }
+        var last = tokens[index - 1];
+        params.push(segment.slice(first.pos, last.pos + last.text.length));
+        if (rest && index < tokens.length)
+            fail('A rest parameter must be last');
+        if (is(','))
+            index++;
+    }
+    return params;
+}
+
+// Returns the first problem in `body`, which begins at `offset` in the
+// string lambda's source.
+Functional._findLambdaBodyError = function(body, offset, form) {
+    var tokens, problem;
+    try {
+        tokens = Functional._tokenizeLambda(body);
+    } catch (e) {
+        if (e.position == null) throw e;
+        problem = {position:e.position, reason:e.message};
+    }
+    problem = problem
+        || Functional._findLambdaBracketError(tokens)
+        || form != 'statements' && Functional._findLambdaExpressionError(
+            tokens, body, /section/.test(form) && form != 'right section',
+            /section/.test(form) && form != 'left section');
+    if (problem) problem.position += offset;
+    return problem;
+}
+
+// Returns the first bracket in `tokens` that isn't matched.
+Functional._findLambdaBracketError = function(tokens) {
+    var stack = [],
+        closers = {'(':')', '[':']', '{':'}'};
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i],
+            text = token.text,
+            template = token.type == 'template';
+        if (token.type != 'punctuator' && !template) continue;
+        // the text after a template substitution begins with its `}`
+        if (/^[)\]}]/.test(text)) {
+            var open = stack.pop();
+            if (!open || text.charAt(0) != (closers[open.text] || '}'))
+                return {position:token.pos, reason:"Unexpected '" + text.charAt(0) + "'"};
+        }
+        if (closers[text] || template && /\$\{$/.test(text))
+            stack.push(token);
+    }
+    var unclosed = stack.pop();
+    return unclosed ? {position:unclosed.pos, reason:"Unclosed '" + unclosed.text + "'"} : null;
+}
+
+/*
+ * Returns the first token in `tokens` that can't continue a single
+ * expression, or the end of `body` if the expression is incomplete.
+ * Only the shape of the expression is checked: operands and operators
+ * alternate, and conditionals and member accesses are complete.  The
+ * bodies of function and object literals are skipped.  `leftSection` and
+ * `rightSection` allow the expression to begin or end with an operator.
+ */
+Functional._findLambdaExpressionError = function(tokens, body, leftSection, rightSection) {
+    var match = Functional._matchLambdaBrackets(tokens).match,
+        operand = !leftSection, // expecting an operand, rather than an operator?
+        member = false,         // expecting a property name?
+        frames = [{kind:'expression', conditionals:0}],
+        prefixWords = /^(?:typeof|void|delete|new|await|yield)$/,
+        valueWords = /^(?:this|null|true|false|undefined|arguments|super)$/;
+    function unexpected(token) {
+        var kind = {name:'identifier ', punctuator:'token '}[token.type] || token.type + ' ';
+        return {position:token.pos, reason:'Unexpected ' + kind + "'" + token.text + "'"};
+    }
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i],
+            text = token.text,
+            frame = frames[frames.length - 1];
+        if (member) {
+            member = false;
+            if (token.type == 'name') continue;
+            // `?.(` and `?.[` are a call and an index
+            if (!(tokens[i-1].text == '?.' && (text == '(' || text == '[')))
+                return unexpected(token);
+        }
+        switch (token.type) {
+        case 'number':
+        case 'string':
+        case 'regexp':
+            if (!operand) return unexpected(token);
+            operand = false;
+            break;
+        case 'template':
+            if (text.charAt(0) == '}') {
+                if (operand) return unexpected(token);
+                text.slice(-1) == '`' && frames.pop();
+            } else if (/\$\{$/.test(text)) {
+                frames.push({kind:'template', conditionals:0});
+            }
+            operand = /\$\{$/.test(text);
+            break;
+        case 'name':
+            if (text == 'async' && tokens[i+1] && tokens[i+1].text == 'function')
+                continue;
+            if (text == 'function') {
+                // skip to the end of the function literal
+                var j = i + 1;
+                tokens[j] && tokens[j].text == '*' && j++;
+                tokens[j] && tokens[j].type == 'name' && j++;
+                if (!operand || !tokens[j] || tokens[j].text != '(') return unexpected(token);
+                j = match[j] + 1;
+                if (!tokens[j] || tokens[j].text != '{') return unexpected(tokens[j] || token);
+                i = match[j];
+                operand = false;
+            } else if (text == 'in' || text == 'instanceof') {
+                if (operand) return unexpected(token);
+                operand = true;
+            } else if (prefixWords.test(text)) {
+                if (!operand) return unexpected(token);
+            } else if (valueWords.test(text)
+                       || !Functional._lambdaReservedWords['#' + text]) {
+                if (!operand) return unexpected(token);
+                operand = false;
+            } else {
+                return text == 'class' ? null : unexpected(token);
+            }
+            break;
+        default:
+            switch (text) {
+            case '(':
+            case '[':
+                frames.push({kind:text + (operand ? 'literal' : 'call'), conditionals:0});
+                operand = true;
+                break;
+            case ')':
+            case ']':
+                var prev = tokens[i-1],
+                    next = tokens[i+1];
+                if (operand && !(frame.kind != '(literal' && prev.text == ',')
+                    && !(match[i] == i - 1
+                         && (frame.kind != '(literal' || next && next.text == '=>')))
+                    return unexpected(token);
+                frames.pop();
+                operand = false;
+                break;
+            case '{':
+                if (!operand) return unexpected(token);
+                i = match[i];
+                operand = false;
+                break;
+            case ',':
+                if (operand && frame.kind != '[literal') return unexpected(token);
+                operand = true;
+                break;
+            case '?':
+                if (operand) return unexpected(token);
+                frame.conditionals++;
+                operand = true;
+                break;
+            case ':':
+                if (operand || !frame.conditionals) return unexpected(token);
+                frame.conditionals--;
+                operand = true;
+                break;
+            case '.':
+            case '?.':
+                if (operand) return unexpected(token);
+                member = true;
+                break;
+            case '...':
+            case '!':
+            case '~':
+                if (!operand) return unexpected(token);
+                break;
+            case '+':
+            case '-':
+                operand = true;
+                break;
+            case '++':
+            case '--':
+                break;
+            case '}':
+            case ';':
+            case '@':
+            case '#':
+                return unexpected(token);
+            default:
+                // binary and assignment operators, and `=>`
+                if (operand) return unexpected(token);
+                operand = true;
+            }
+        }
+    }
+    if ((operand || member || frames[0].conditionals) && !rightSection)
+        return {position:body.length,
+                reason:tokens.length ? 'Unexpected end of expression' : 'Missing expression'};
+    return null;
+}
+
+
+// ^^ Installation
+//
+// Unless `Functional.pure` is set, define the methods above on every
+// string and function, and `Function.toFunction` as a synonym for
+// `Functional.toFunction`.
+Functional.pure || (function() {
+    var methods = Functional._stringMethods;
+    for (var name in methods)
+        String.prototype[name] = methods[name];
+    Function.prototype.toFunction = Functional._functionMethods.toFunction;
+    Function.toFunction = Functional.toFunction;
+})();